@@ -0,0 +1,127 @@
+/**
+ * Age Gate
+ *
+ * A modal asking visitors to confirm they are of age before any
+ * `[data-age-gate]` element works: clicks on gated links and buttons and
+ * submits of gated forms are held back until the visitor confirms, then
+ * replayed. Declining explains why and points to support; nothing is
+ * remembered, so the question comes back on the next attempt.
+ */
+
+import { t } from '../i18n/index.js';
+import { confirmAge, isAgeVerified } from '../utils/ageGate.js';
+import { getJurisdiction } from '../utils/jurisdiction.js';
+
+const actionButton = (action, label, primary = false) => `
+  <button type="button" class="consent-button${primary ? ' consent-button-primary' : ''}"
+    data-age-gate-action="${action}">${label}</button>
+`;
+
+const renderQuestion = (age) => `
+  <h2 id="age-gate-title">${t('ageGate.title', { age })}</h2>
+  <p>${t('ageGate.text', { age })}</p>
+  <div class="consent-actions">
+    ${actionButton('decline', t('ageGate.decline', { age }))}
+    ${actionButton('confirm', t('ageGate.confirm', { age }), true)}
+  </div>
+`;
+
+const renderDeclined = (age, support) => `
+  <h2 id="age-gate-title">${t('ageGate.declinedTitle')}</h2>
+  <p>${t('ageGate.declined', { age })}</p>
+  <p>
+    ${t('responsibleGambling.support')}
+    <a href="${support.url}" target="_blank" rel="noopener">${support.name}</a>
+  </p>
+  <div class="consent-actions">
+    ${actionButton('close', t('ageGate.close'), true)}
+  </div>
+`;
+
+/**
+ * @param {{ signal?: AbortSignal }} [options] aborting removes the dialog and its listeners
+ */
+export const initAgeGate = ({ signal } = {}) => {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'consent-dialog age-gate-dialog';
+  dialog.setAttribute('aria-labelledby', 'age-gate-title');
+
+  // The click or submit waiting for an answer
+  let pending = null;
+  let declined = false;
+
+  const render = () => {
+    const { minimumAge, support } = getJurisdiction();
+    dialog.innerHTML = declined ? renderDeclined(minimumAge, support) : renderQuestion(minimumAge);
+  };
+
+  const open = (target) => {
+    pending = target;
+    declined = false;
+    render();
+    dialog.showModal();
+  };
+
+  const hold = (e, target) => {
+    if (isAgeVerified()) {
+      return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    open(target);
+  };
+
+  // Capture phase, so nothing else (scrolling, plan selection, submission) runs first
+  document.addEventListener(
+    'click',
+    (e) => {
+      const target = e.target.closest('[data-age-gate]');
+      if (target && target.tagName !== 'FORM') {
+        hold(e, target);
+      }
+    },
+    { capture: true, signal }
+  );
+
+  document.addEventListener(
+    'submit',
+    (e) => {
+      if (e.target.matches('[data-age-gate]')) {
+        hold(e, e.target);
+      }
+    },
+    { capture: true, signal }
+  );
+
+  dialog.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-age-gate-action]')?.dataset.ageGateAction;
+
+    if (action === 'confirm') {
+      const target = pending;
+      confirmAge();
+      dialog.close();
+
+      if (target?.tagName === 'FORM') {
+        target.requestSubmit();
+      } else {
+        target?.click();
+      }
+    } else if (action === 'decline') {
+      declined = true;
+      render();
+      dialog.querySelector('[data-age-gate-action="close"]').focus();
+    } else if (action === 'close') {
+      dialog.close();
+    }
+  });
+
+  dialog.addEventListener('close', () => {
+    pending = null;
+  });
+
+  document.addEventListener('localechange', render, { signal });
+  signal?.addEventListener('abort', () => dialog.remove());
+
+  render();
+  document.body.append(dialog);
+};
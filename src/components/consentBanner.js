@@ -0,0 +1,123 @@
+/**
+ * Cookie Consent Banner
+ *
+ * Shows a banner until the visitor decides, plus a preferences dialog with a
+ * switch per category. The dialog can be reopened from any
+ * `[data-consent-settings]` link, which is also how consent is withdrawn.
+ */
+
+import { t } from '../i18n/index.js';
+import { CONSENT_CATEGORIES, getConsent, needsConsent, saveConsent } from '../utils/consent.js';
+
+const actionButton = (action, label, primary = false) => `
+  <button type="button" class="consent-button${primary ? ' consent-button-primary' : ''}"
+    data-consent-action="${action}">${label}</button>
+`;
+
+const renderBanner = () => `
+  <p class="consent-text">
+    <strong id="consent-banner-title">${t('consent.title')}</strong>
+    ${t('consent.text')}
+  </p>
+  <div class="consent-actions">
+    ${actionButton('reject', t('consent.rejectAll'))}
+    ${actionButton('customize', t('consent.customize'))}
+    ${actionButton('accept', t('consent.acceptAll'), true)}
+  </div>
+`;
+
+const renderDialog = (consent) => `
+  <h2 id="consent-dialog-title">${t('consent.preferences')}</h2>
+  <p>${t('consent.text')}</p>
+  <ul class="consent-categories">
+    ${CONSENT_CATEGORIES.map(
+      (category) => `
+        <li class="consent-category">
+          <label>
+            <input type="checkbox" name="${category}" ${consent[category] ? 'checked' : ''}
+              ${category === 'necessary' ? 'disabled' : ''}>
+            <span class="consent-category-name">${t(`consent.categories.${category}.label`)}</span>
+          </label>
+          <p>${t(`consent.categories.${category}.description`)}</p>
+        </li>
+      `
+    ).join('')}
+  </ul>
+  <div class="consent-actions">
+    ${actionButton('reject', t('consent.rejectAll'))}
+    ${actionButton('save', t('consent.save'))}
+    ${actionButton('accept', t('consent.acceptAll'), true)}
+  </div>
+`;
+
+/**
+ * @param {{ signal?: AbortSignal }} [options] aborting removes the banner and the dialog
+ */
+export const initConsentBanner = ({ signal } = {}) => {
+  const banner = document.createElement('section');
+  banner.className = 'consent-banner';
+  banner.setAttribute('aria-labelledby', 'consent-banner-title');
+  banner.hidden = !needsConsent();
+
+  const dialog = document.createElement('dialog');
+  dialog.className = 'consent-dialog';
+  dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+
+  const render = () => {
+    banner.innerHTML = renderBanner();
+    dialog.innerHTML = renderDialog(getConsent());
+  };
+
+  const openDialog = () => {
+    dialog.innerHTML = renderDialog(getConsent());
+    dialog.showModal();
+  };
+
+  const decide = (choices) => {
+    saveConsent(choices);
+    banner.hidden = true;
+    if (dialog.open) {
+      dialog.close();
+    }
+  };
+
+  const onAction = (e) => {
+    const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+
+    if (action === 'accept') {
+      decide({ analytics: true, functional: true });
+    } else if (action === 'reject') {
+      decide({ analytics: false, functional: false });
+    } else if (action === 'customize') {
+      openDialog();
+    } else if (action === 'save') {
+      decide({
+        analytics: dialog.querySelector('[name="analytics"]').checked,
+        functional: dialog.querySelector('[name="functional"]').checked,
+      });
+    }
+  };
+
+  banner.addEventListener('click', onAction);
+  dialog.addEventListener('click', onAction);
+
+  document.addEventListener(
+    'click',
+    (e) => {
+      if (e.target.closest('[data-consent-settings]')) {
+        e.preventDefault();
+        openDialog();
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener('localechange', render, { signal });
+  signal?.addEventListener('abort', () => {
+    banner.remove();
+    dialog.remove();
+  });
+
+  render();
+  document.body.append(banner, dialog);
+};
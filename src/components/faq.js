@@ -0,0 +1,276 @@
+/**
+ * FAQ Section
+ *
+ * Renders the questions in `src/data/faq.json` by category as an accordion
+ * following the WAI-ARIA pattern: each question is a button in a heading
+ * that controls its answer panel, and Up/Down/Home/End move between
+ * questions. A search box filters the list and highlights matches.
+ *
+ * faq.json holds ids and the catalog key of each category title and of each
+ * item, whose `question` and `answer` are under that key. The FAQ is
+ * re-rendered in the new language when the locale changes.
+ *
+ * Opening a question puts `#faq-<id>` in the address bar, and loading the
+ * page with such a hash opens and scrolls to that answer. The questions are
+ * also published as `FAQPage` structured data.
+ */
+
+import { t } from '../i18n/index.js';
+import { scrollToElement } from '../utils/scroll.js';
+import { setJsonLd } from '../utils/structuredData.js';
+
+const HASH_PREFIX = '#faq-';
+
+const loadFaq = () => import('../data/faq.json').then((module) => module.default);
+
+// The questions in the active locale
+const translateFaq = (data) => ({
+  categories: data.categories.map(({ id, i18n, items }) => ({
+    id,
+    title: t(i18n),
+    items: items.map((item) => ({
+      id: item.id,
+      question: t(`${item.i18n}.question`),
+      answer: t(`${item.i18n}.answer`),
+    })),
+  })),
+});
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Escape `text` and wrap every case-insensitive occurrence of `query` in <mark>.
+ * @param {string} text
+ * @param {string} query
+ */
+export const highlight = (text, query) => {
+  if (!query) {
+    return escapeHtml(text);
+  }
+
+  const lower = text.toLowerCase();
+  const needle = query.toLowerCase();
+  let html = '';
+  let from = 0;
+
+  for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, from)) {
+    const end = index + needle.length;
+    const match = escapeHtml(text.slice(index, end));
+    html += `${escapeHtml(text.slice(from, index))}<mark>${match}</mark>`;
+    from = end;
+  }
+
+  return html + escapeHtml(text.slice(from));
+};
+
+const renderItem = ({ id, question, answer }) => `
+  <div class="faq-item" id="faq-${id}" data-id="${id}">
+    <h4 class="faq-heading">
+      <button type="button" class="faq-question" id="faq-${id}-question"
+        aria-expanded="false" aria-controls="faq-${id}-answer">
+        <span class="faq-question-text">${escapeHtml(question)}</span>
+        <i class="fas fa-chevron-down" aria-hidden="true"></i>
+      </button>
+    </h4>
+    <div class="faq-answer" id="faq-${id}-answer" role="region"
+      aria-labelledby="faq-${id}-question" hidden>
+      <p>${escapeHtml(answer)}</p>
+    </div>
+  </div>
+`;
+
+const renderFaq = (data, query) => `
+  <div class="faq-search">
+    <label for="faq-search" class="sr-only">${t('faq.searchLabel')}</label>
+    <i class="fas fa-magnifying-glass" aria-hidden="true"></i>
+    <input type="search" id="faq-search" placeholder="${t('faq.searchPlaceholder')}"
+      value="${escapeHtml(query)}" autocomplete="off">
+  </div>
+  <p class="faq-status" role="status"></p>
+  ${data.categories
+    .map(
+      (category) => `
+    <div class="faq-category" data-category="${category.id}">
+      <h3 class="faq-category-title">${escapeHtml(category.title)}</h3>
+      ${category.items.map(renderItem).join('')}
+    </div>`
+    )
+    .join('')}
+`;
+
+const renderJsonLd = (data) =>
+  setJsonLd('faq-schema', {
+    '@type': 'FAQPage',
+    mainEntity: data.categories.flatMap((category) =>
+      category.items.map((item) => ({
+        '@type': 'Question',
+        name: item.question,
+        acceptedAnswer: { '@type': 'Answer', text: item.answer },
+      }))
+    ),
+  });
+
+/**
+ * Render the FAQ into a container, re-rendering when the locale changes.
+ * @param {HTMLElement} container
+ * @param {{ onRender?: (items: HTMLElement[]) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<HTMLElement[]>} The initially rendered items
+ */
+export const initFaq = async (container, { onRender = () => {}, signal } = {}) => {
+  const source = await loadFaq();
+
+  let data;
+  let itemsById;
+  let query = '';
+  let openId = null;
+
+  const questions = () => [...container.querySelectorAll('.faq-item:not([hidden]) .faq-question')];
+
+  const setOpen = (item, open) => {
+    const button = item.querySelector('.faq-question');
+    button.setAttribute('aria-expanded', String(open));
+    item.querySelector('.faq-answer').hidden = !open;
+    item.classList.toggle('active', open);
+  };
+
+  const toggle = (item) => {
+    const open = item.querySelector('.faq-question').getAttribute('aria-expanded') !== 'true';
+
+    container.querySelectorAll('.faq-item.active').forEach((other) => setOpen(other, false));
+    setOpen(item, open);
+    openId = open ? item.dataset.id : null;
+
+    // replaceState keeps the hash shareable without a history entry or a jump
+    const url = open ? `#${item.id}` : `${window.location.pathname}${window.location.search}`;
+    if (open || window.location.hash === `#${item.id}`) {
+      window.history.replaceState(null, '', url);
+    }
+  };
+
+  const applySearch = () => {
+    const needle = query.trim().toLowerCase();
+    let matches = 0;
+
+    container.querySelectorAll('.faq-item').forEach((item) => {
+      const { question, answer } = itemsById.get(item.dataset.id);
+      const visible =
+        !needle || question.toLowerCase().includes(needle) || answer.toLowerCase().includes(needle);
+
+      item.hidden = !visible;
+      item.querySelector('.faq-question-text').innerHTML = highlight(question, needle);
+      item.querySelector('.faq-answer p').innerHTML = highlight(answer, needle);
+      matches += visible ? 1 : 0;
+    });
+
+    container.querySelectorAll('.faq-category').forEach((category) => {
+      category.hidden = !category.querySelector('.faq-item:not([hidden])');
+    });
+
+    const status = container.querySelector('.faq-status');
+    if (!needle) {
+      status.textContent = '';
+    } else {
+      status.textContent = matches
+        ? t('faq.results', { count: matches })
+        : t('faq.noResults', { query: query.trim() });
+    }
+  };
+
+  const render = () => {
+    data = translateFaq(source);
+    itemsById = new Map(
+      data.categories.flatMap((category) => category.items.map((item) => [item.id, item]))
+    );
+    renderJsonLd(data);
+
+    container.innerHTML = renderFaq(data, query);
+    const item = container.querySelector(`.faq-item[data-id="${openId}"]`);
+    if (item) {
+      setOpen(item, true);
+    }
+    applySearch();
+
+    const items = [...container.querySelectorAll('.faq-item')];
+    onRender(items);
+    return items;
+  };
+
+  const openFromHash = ({ behavior = 'smooth' } = {}) => {
+    const { hash } = window.location;
+    if (!hash.startsWith(HASH_PREFIX)) {
+      return;
+    }
+
+    const id = decodeURIComponent(hash.slice(HASH_PREFIX.length));
+    const item = [...container.querySelectorAll('.faq-item')].find((el) => el.dataset.id === id);
+
+    if (!item) {
+      return;
+    }
+
+    // A deep link must not land on an answer hidden by the search
+    if (item.hidden) {
+      query = '';
+      container.querySelector('#faq-search').value = '';
+      applySearch();
+    }
+
+    if (item.querySelector('.faq-question').getAttribute('aria-expanded') !== 'true') {
+      toggle(item);
+    }
+    scrollToElement(item, { behavior });
+  };
+
+  container.addEventListener(
+    'click',
+    (e) => {
+      const button = e.target.closest('.faq-question');
+      if (button) {
+        toggle(button.closest('.faq-item'));
+      }
+    },
+    { signal }
+  );
+
+  container.addEventListener(
+    'keydown',
+    (e) => {
+      const buttons = questions();
+      const index = buttons.indexOf(e.target);
+      if (index === -1) {
+        return;
+      }
+
+      const targets = {
+        ArrowDown: buttons[(index + 1) % buttons.length],
+        ArrowUp: buttons[(index - 1 + buttons.length) % buttons.length],
+        Home: buttons[0],
+        End: buttons[buttons.length - 1],
+      };
+
+      if (targets[e.key]) {
+        e.preventDefault();
+        targets[e.key].focus();
+      }
+    },
+    { signal }
+  );
+
+  container.addEventListener(
+    'input',
+    (e) => {
+      if (e.target.id === 'faq-search') {
+        query = e.target.value;
+        applySearch();
+      }
+    },
+    { signal }
+  );
+
+  window.addEventListener('hashchange', () => openFromHash(), { signal });
+  document.addEventListener('localechange', render, { signal });
+
+  const items = render();
+  openFromHash({ behavior: 'auto' });
+  return items;
+};
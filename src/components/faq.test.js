@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import faq from '../data/faq.json';
+import { LOCALES, setLocale, t } from '../i18n/index.js';
+
+import { initFaq } from './faq.js';
+
+vi.hoisted(() => {
+  window.matchMedia = (media) => ({
+    media,
+    matches: false,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+});
+
+const keys = faq.categories.flatMap(({ i18n, items }) => [
+  i18n,
+  ...items.flatMap((item) => [`${item.i18n}.question`, `${item.i18n}.answer`]),
+]);
+
+const questionText = (container, id) =>
+  container.querySelector(`[data-id="${id}"] .faq-question-text`).textContent;
+
+describe('initFaq', () => {
+  let container;
+  let controller;
+
+  beforeEach(() => {
+    controller = new AbortController();
+    document.body.innerHTML = '<div data-faq></div>';
+    container = document.querySelector('[data-faq]');
+  });
+
+  afterEach(async () => {
+    controller.abort();
+    await setLocale('en');
+  });
+
+  it('renders the questions from the catalog', async () => {
+    await initFaq(container, { signal: controller.signal });
+
+    expect(questionText(container, 'cancel')).toBe(t('faq.items.cancel.question'));
+    expect(container.querySelector('.faq-category-title').textContent).toBe(
+      t('faq.categories.subscriptions')
+    );
+  });
+
+  it('re-renders in the new locale, keeping the open answer', async () => {
+    await initFaq(container, { signal: controller.signal });
+    container.querySelector('[data-id="refunds"] .faq-question').click();
+
+    await setLocale('de');
+
+    expect(questionText(container, 'refunds')).toBe('Bietet ihr Rückerstattungen an?');
+    expect(container.querySelector('[data-id="refunds"] .faq-answer').hidden).toBe(false);
+    expect(document.getElementById('faq-schema').textContent).toContain(
+      'Bietet ihr Rückerstattungen an?'
+    );
+  });
+
+  it.each(Object.keys(LOCALES))('has every question in the %s catalog', async (locale) => {
+    const { default: catalog } = await import(`../i18n/locales/${locale}.json`);
+    const lookup = (key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+    keys.forEach((key) => expect(typeof lookup(key), key).toBe('string'));
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Language Switcher
+ *
+ * Renders a labelled <select> of the supported locales into the nav. The
+ * choice is applied (and persisted) through the i18n module.
+ */
+
+import { getLocale, LOCALES, setLocale, t } from '../i18n/index.js';
+import { captureError } from '../utils/errorReporter.js';
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export const renderLanguageSwitcher = (container, { signal } = {}) => {
+  container.innerHTML = `
+    <label class="sr-only" for="language-select" data-i18n="nav.language">${t('nav.language')}</label>
+    <select id="language-select" class="language-select">
+      ${Object.entries(LOCALES)
+        .map(([code, name]) => `<option value="${code}" lang="${code}">${name}</option>`)
+        .join('')}
+    </select>
+  `;
+
+  const select = container.querySelector('select');
+  select.value = getLocale();
+
+  select.addEventListener(
+    'change',
+    () => {
+      setLocale(select.value).catch((error) => captureError(error, 'Failed to change language'));
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    'localechange',
+    (e) => {
+      select.value = e.detail.locale;
+    },
+    { signal }
+  );
+};
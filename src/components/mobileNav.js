@@ -0,0 +1,151 @@
+/**
+ * Mobile Navigation
+ *
+ * Builds a hamburger toggle and a drop-down menu from the links in
+ * `.nav-links`, so both navigations stay in sync with the markup. Below the
+ * mobile breakpoint the stylesheet hides the desktop links and shows the
+ * toggle; the language switcher and theme toggle stay in the bar.
+ *
+ * While the menu is open focus is trapped between the toggle and the menu,
+ * body scrolling is locked with `menu-open`, and Escape or a click outside
+ * closes it again.
+ */
+
+import { t } from '../i18n/index.js';
+import { icon } from '../utils/icons.js';
+
+const DESKTOP_QUERY = '(min-width: 769px)';
+const FOCUSABLE = 'a[href], button:not([disabled]), select, input, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * @param {HTMLElement} nav The <nav> holding `.nav-links`
+ * @param {{ signal?: AbortSignal }} [options] aborting closes and removes the toggle and menu
+ */
+export const initMobileNav = (nav, { signal } = {}) => {
+  const links = [...nav.querySelectorAll('.nav-links a')];
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'menu-toggle mobile-menu-btn';
+  toggle.setAttribute('aria-controls', 'mobile-menu');
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const menu = document.createElement('div');
+  menu.className = 'mobile-menu';
+  menu.id = 'mobile-menu';
+  menu.hidden = true;
+
+  const list = document.createElement('ul');
+  links.forEach((link) => {
+    const item = document.createElement('li');
+    item.appendChild(link.cloneNode(true));
+    list.appendChild(item);
+    link.closest('li')?.classList.add('has-mobile-copy');
+  });
+  menu.appendChild(list);
+
+  const isOpen = () => toggle.getAttribute('aria-expanded') === 'true';
+
+  const renderToggle = () => {
+    const open = isOpen();
+    toggle.setAttribute('aria-label', t(open ? 'nav.closeMenu' : 'nav.openMenu'));
+    toggle.innerHTML = icon(open ? 'xmark' : 'bars');
+  };
+
+  const open = () => {
+    toggle.setAttribute('aria-expanded', 'true');
+    menu.hidden = false;
+    menu.classList.add('active');
+    toggle.classList.add('active');
+    document.body.classList.add('menu-open');
+    renderToggle();
+    menu.querySelector(FOCUSABLE)?.focus();
+  };
+
+  const close = ({ returnFocus = true } = {}) => {
+    if (!isOpen()) {
+      return;
+    }
+    toggle.setAttribute('aria-expanded', 'false');
+    menu.hidden = true;
+    menu.classList.remove('active');
+    toggle.classList.remove('active');
+    document.body.classList.remove('menu-open');
+    renderToggle();
+    if (returnFocus) {
+      toggle.focus();
+    }
+  };
+
+  // Tab and Shift+Tab cycle through the toggle and the menu items only
+  const trapFocus = (e) => {
+    const focusable = [toggle, ...menu.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  toggle.addEventListener('click', () => (isOpen() ? close() : open()));
+
+  document.addEventListener(
+    'keydown',
+    (e) => {
+      if (!isOpen()) {
+        return;
+      }
+      if (e.key === 'Escape') {
+        close();
+      } else if (e.key === 'Tab') {
+        trapFocus(e);
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    'click',
+    (e) => {
+      if (isOpen() && !menu.contains(e.target) && !toggle.contains(e.target)) {
+        close();
+      }
+    },
+    { signal }
+  );
+
+  // Following a link moves focus to its section, not back to the toggle
+  menu.addEventListener('click', (e) => {
+    if (e.target.closest('a')) {
+      close({ returnFocus: false });
+    }
+  });
+
+  window.matchMedia(DESKTOP_QUERY).addEventListener(
+    'change',
+    (e) => {
+      if (e.matches) {
+        close({ returnFocus: false });
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener('localechange', renderToggle, { signal });
+
+  signal?.addEventListener('abort', () => {
+    close({ returnFocus: false });
+    toggle.remove();
+    menu.remove();
+    links.forEach((link) => link.closest('li')?.classList.remove('has-mobile-copy'));
+  });
+
+  renderToggle();
+  nav.appendChild(toggle);
+  nav.after(menu);
+};
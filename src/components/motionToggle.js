@@ -0,0 +1,30 @@
+/**
+ * Motion Toggle
+ *
+ * A footer button that cycles the animation setting system → reduced → on,
+ * so visitors can turn motion off (or back on) without changing their
+ * operating system preference. Its text names the current setting.
+ */
+
+import { t } from '../i18n/index.js';
+import { getMotionMode, MOTION_MODES, setMotionMode } from '../utils/motion.js';
+
+const nextMode = (mode) => MOTION_MODES[(MOTION_MODES.indexOf(mode) + 1) % MOTION_MODES.length];
+
+/**
+ * @param {HTMLButtonElement} button
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export const initMotionToggle = (button, { signal } = {}) => {
+  const render = () => {
+    const mode = getMotionMode();
+
+    button.textContent = t('motion.toggle', { mode: t(`motion.${mode}`) });
+    button.title = t('motion.next', { next: t(`motion.${nextMode(mode)}`) });
+  };
+
+  button.addEventListener('click', () => setMotionMode(nextMode(getMotionMode())), { signal });
+  document.addEventListener('motionchange', render, { signal });
+  document.addEventListener('localechange', render, { signal });
+  render();
+};
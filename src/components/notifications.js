@@ -0,0 +1,228 @@
+/**
+ * Notification Manager
+ *
+ * Toasts are stacked in one corner, at most `maxVisible` at a time; the rest
+ * wait in a queue. Showing a message that is already visible or queued
+ * collapses into the existing toast (with a repeat count) instead of adding
+ * another one.
+ *
+ * Each toast has a close button, optional action buttons and its own
+ * duration (0 keeps it until dismissed). The countdown pauses while the toast
+ * is hovered or focused. Messages are announced through a polite live region,
+ * or an assertive one for errors and warnings.
+ */
+
+import { t } from '../i18n/index.js';
+import { addBreadcrumb } from '../utils/errorReporter.js';
+
+const DEFAULT_DURATION = 4000;
+const EXIT_DURATION = 300;
+const ASSERTIVE_TYPES = ['error', 'warning'];
+
+const createLiveRegion = (urgency) => {
+  const region = document.createElement('div');
+  region.className = 'sr-only';
+  region.setAttribute('role', urgency === 'assertive' ? 'alert' : 'status');
+  region.setAttribute('aria-live', urgency);
+  region.setAttribute('aria-atomic', 'true');
+  return region;
+};
+
+/**
+ * @param {{ maxVisible?: number }} [options]
+ */
+export const createNotificationManager = ({ maxVisible = 3 } = {}) => {
+  const stack = document.createElement('div');
+  stack.className = 'notification-stack';
+
+  const regions = {
+    polite: createLiveRegion('polite'),
+    assertive: createLiveRegion('assertive'),
+  };
+
+  document.body.append(stack, regions.polite, regions.assertive);
+
+  const visible = [];
+  const queue = [];
+
+  // Clear first so a repeated message is announced again
+  const announce = (toast) => {
+    const region = regions[ASSERTIVE_TYPES.includes(toast.type) ? 'assertive' : 'polite'];
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = toast.message;
+    }, 50);
+  };
+
+  const startTimer = (toast) => {
+    if (toast.duration > 0 && !toast.paused) {
+      clearTimeout(toast.timer);
+      toast.startedAt = Date.now();
+      toast.timer = setTimeout(() => toast.dismiss(), toast.remaining);
+    }
+  };
+
+  const pause = (toast) => {
+    if (toast.duration > 0 && !toast.paused) {
+      clearTimeout(toast.timer);
+      toast.remaining -= Date.now() - toast.startedAt;
+      toast.paused = true;
+    }
+  };
+
+  const resume = (toast) => {
+    if (toast.paused) {
+      toast.paused = false;
+      startTimer(toast);
+    }
+  };
+
+  const renderCount = (toast) => {
+    toast.countEl.textContent = `×${toast.count}`;
+    toast.countEl.hidden = toast.count < 2;
+  };
+
+  const render = (toast) => {
+    const el = document.createElement('div');
+    el.className = `notification notification-${toast.type}`;
+
+    const message = document.createElement('p');
+    message.className = 'notification-message';
+    message.textContent = toast.message;
+
+    const count = document.createElement('span');
+    count.className = 'notification-count';
+    count.setAttribute('aria-hidden', 'true');
+    message.appendChild(count);
+    el.appendChild(message);
+
+    toast.actions.forEach(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'notification-action';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        onClick();
+        toast.dismiss();
+      });
+      el.appendChild(button);
+    });
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'notification-close';
+    close.setAttribute('aria-label', t('notifications.dismiss'));
+    close.innerHTML = '<span aria-hidden="true">&times;</span>';
+    close.addEventListener('click', () => toast.dismiss());
+    el.appendChild(close);
+
+    el.addEventListener('mouseenter', () => pause(toast));
+    el.addEventListener('mouseleave', () => resume(toast));
+    el.addEventListener('focusin', () => pause(toast));
+    el.addEventListener('focusout', (e) => {
+      if (!el.contains(e.relatedTarget)) {
+        resume(toast);
+      }
+    });
+    el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        toast.dismiss();
+      }
+    });
+
+    toast.el = el;
+    toast.countEl = count;
+    renderCount(toast);
+  };
+
+  const show = (toast) => {
+    visible.push(toast);
+    render(toast);
+    stack.appendChild(toast.el);
+    requestAnimationFrame(() => toast.el.classList.add('show'));
+    announce(toast);
+    startTimer(toast);
+  };
+
+  const remove = (toast) => {
+    const visibleIndex = visible.indexOf(toast);
+
+    if (visibleIndex === -1) {
+      queue.splice(queue.indexOf(toast), 1);
+      return;
+    }
+
+    visible.splice(visibleIndex, 1);
+    clearTimeout(toast.timer);
+    toast.el.classList.remove('show');
+    setTimeout(() => toast.el.remove(), EXIT_DURATION);
+
+    if (queue.length) {
+      show(queue.shift());
+    }
+  };
+
+  const collapse = (toast) => {
+    toast.count += 1;
+
+    if (toast.el) {
+      renderCount(toast);
+      toast.remaining = toast.duration;
+      startTimer(toast);
+      announce(toast);
+    }
+  };
+
+  /**
+   * Show a toast.
+   * @param {string} message
+   * @param {string} [type] `info`, `success`, `warning` or `error`
+   * @param {{
+   *   duration?: number,
+   *   action?: { label: string, onClick: Function },
+   *   actions?: { label: string, onClick: Function }[],
+   * }} [options]
+   * @returns {{ dismiss: Function }}
+   */
+  const notify = (message, type = 'info', options = {}) => {
+    const { duration = DEFAULT_DURATION, action, actions = [] } = options;
+    addBreadcrumb({ category: 'notification', message: `${type}: ${message}` });
+
+    const duplicate = [...visible, ...queue].find(
+      (toast) => toast.message === message && toast.type === type
+    );
+
+    if (duplicate) {
+      collapse(duplicate);
+      return { dismiss: duplicate.dismiss };
+    }
+
+    const toast = {
+      message,
+      type,
+      duration,
+      remaining: duration,
+      actions: action ? [action, ...actions] : actions,
+      count: 1,
+      paused: false,
+      dismissed: false,
+    };
+
+    toast.dismiss = () => {
+      if (!toast.dismissed) {
+        toast.dismissed = true;
+        remove(toast);
+      }
+    };
+
+    if (visible.length < maxVisible) {
+      show(toast);
+    } else {
+      queue.push(toast);
+    }
+
+    return { dismiss: toast.dismiss };
+  };
+
+  return { notify };
+};
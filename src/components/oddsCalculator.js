@@ -0,0 +1,307 @@
+/**
+ * Odds Calculator Section
+ *
+ * An odds converter (decimal, fractional, American) with implied
+ * probability, a 1X2 market margin calculator and stake suggestions for
+ * flat, fixed-percentage and fractional-Kelly staking. Results update on
+ * every keystroke; invalid entries are flagged on the field and the last
+ * valid value keeps being used until they're fixed.
+ *
+ * Values that differ from the defaults are mirrored into the query string
+ * (`?odds=3.5&probability=35`) with `history.replaceState`, so a link to the
+ * page opens the calculator in the same state.
+ */
+
+import { formatNumber, t } from '../i18n/index.js';
+import { clearFieldError, setFieldError } from '../utils/fieldErrors.js';
+import {
+  formatOdds,
+  impliedProbability,
+  marketMargin,
+  parseOdds,
+  suggestStakes,
+} from '../utils/odds.js';
+
+const DEFAULTS = {
+  odds: 2.5,
+  home: 2.1,
+  draw: 3.4,
+  away: 3.6,
+  bankroll: 1000,
+  probability: 45,
+  flatStake: 10,
+  percentage: 2,
+  kelly: 0.25,
+};
+
+const MARKET = ['home', 'draw', 'away'];
+const KELLY_MULTIPLIERS = { kellyFull: 1, kellyHalf: 0.5, kellyQuarter: 0.25 };
+
+const parseAmount = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : NaN;
+};
+
+const parsePercent = (value) => {
+  const number = Number(value);
+  return number > 0 && number < 100 ? number : NaN;
+};
+
+const parseKelly = (value) =>
+  Object.values(KELLY_MULTIPLIERS).includes(Number(value)) ? Number(value) : NaN;
+
+const oddsField = (key, format) => ({
+  key,
+  parse: (value) => parseOdds(value, format),
+  error: format,
+});
+
+// Each input, the value it sets and how its text is read; the three odds formats share `odds`
+const FIELDS = {
+  decimal: oddsField('odds', 'decimal'),
+  fractional: oddsField('odds', 'fractional'),
+  american: oddsField('odds', 'american'),
+  home: oddsField('home', 'decimal'),
+  draw: oddsField('draw', 'decimal'),
+  away: oddsField('away', 'decimal'),
+  bankroll: { key: 'bankroll', parse: parseAmount, error: 'amount' },
+  probability: { key: 'probability', parse: parsePercent, error: 'percent' },
+  flatStake: { key: 'flatStake', parse: parseAmount, error: 'amount' },
+  percentage: { key: 'percentage', parse: parsePercent, error: 'percent' },
+  kelly: { key: 'kelly', parse: parseKelly },
+};
+
+// The field whose parser reads each key back from the query string
+const QUERY_FIELDS = { odds: 'decimal', home: 'home', draw: 'draw', away: 'away' };
+
+const isOdds = (key) => key === 'odds' || MARKET.includes(key);
+
+const readQuery = () => {
+  const params = new URLSearchParams(window.location.search);
+
+  return Object.fromEntries(
+    Object.entries(DEFAULTS).map(([key, fallback]) => {
+      const value = params.has(key) ? FIELDS[QUERY_FIELDS[key] || key].parse(params.get(key)) : NaN;
+      return [key, Number.isNaN(value) ? fallback : value];
+    })
+  );
+};
+
+const writeQuery = (values) => {
+  const url = new URL(window.location.href);
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === DEFAULTS[key]) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(isOdds(key) ? Number(value.toFixed(4)) : value));
+    }
+  });
+
+  window.history.replaceState(window.history.state, '', url);
+};
+
+const inputValue = (name, values) => {
+  const { key } = FIELDS[name];
+
+  if (key === 'odds') {
+    return formatOdds(values.odds, name);
+  }
+  return isOdds(key) ? formatOdds(values[key], 'decimal') : String(values[key]);
+};
+
+const percent = (value) => formatNumber(value, { style: 'percent', maximumFractionDigits: 1 });
+const amount = (value) =>
+  formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const renderField = (name, label, values, inputmode = 'decimal') => `
+  <div class="form-group">
+    <label for="calc-${name}">${label}</label>
+    <input type="text" id="calc-${name}" name="${name}" inputmode="${inputmode}"
+      autocomplete="off" spellcheck="false" value="${inputValue(name, values)}">
+  </div>
+`;
+
+const renderConverter = (values) => `
+  <fieldset class="calculator-panel">
+    <legend>${t('calculator.converter')}</legend>
+    ${renderField('decimal', t('calculator.decimal'), values)}
+    ${renderField('fractional', t('calculator.fractional'), values, 'text')}
+    ${renderField('american', t('calculator.american'), values, 'text')}
+    <p class="calculator-result">
+      ${t('calculator.implied')} <output data-output="implied"></output>
+    </p>
+  </fieldset>
+`;
+
+const renderMarket = (values) => `
+  <fieldset class="calculator-panel">
+    <legend>${t('calculator.market')}</legend>
+    ${MARKET.map((key) => renderField(key, t(`calculator.${key}`), values)).join('')}
+    <table class="calculator-table">
+      <thead>
+        <tr>
+          <th scope="col">${t('calculator.outcome')}</th>
+          <th scope="col">${t('calculator.implied')}</th>
+          <th scope="col">${t('calculator.fair')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${MARKET.map(
+          (key) => `
+        <tr>
+          <th scope="row">${t(`calculator.${key}`)}</th>
+          <td><output data-output="implied-${key}"></output></td>
+          <td><output data-output="fair-${key}"></output></td>
+        </tr>`
+        ).join('')}
+      </tbody>
+    </table>
+    <p class="calculator-result">
+      ${t('calculator.margin')} <output data-output="margin"></output>
+    </p>
+  </fieldset>
+`;
+
+const renderKellyOption = (label, multiplier, values) => {
+  const selected = multiplier === values.kelly ? ' selected' : '';
+  return `<option value="${multiplier}"${selected}>${t(`calculator.${label}`)}</option>`;
+};
+
+const renderStake = (label, name) => `
+  <div>
+    <dt>${t(`calculator.${label}`)}</dt>
+    <dd><output data-output="${name}"></output></dd>
+  </div>
+`;
+
+const renderStaking = (values) => `
+  <fieldset class="calculator-panel">
+    <legend>${t('calculator.staking')}</legend>
+    <p class="calculator-hint" data-output="staking-hint"></p>
+    ${renderField('bankroll', t('calculator.bankroll'), values)}
+    ${renderField('probability', t('calculator.probability'), values)}
+    ${renderField('flatStake', t('calculator.flatStake'), values)}
+    ${renderField('percentage', t('calculator.percentage'), values)}
+    <div class="form-group">
+      <label for="calc-kelly">${t('calculator.kelly')}</label>
+      <select id="calc-kelly" name="kelly">
+        ${Object.entries(KELLY_MULTIPLIERS)
+          .map(([label, multiplier]) => renderKellyOption(label, multiplier, values))
+          .join('')}
+      </select>
+    </div>
+    <dl class="calculator-stakes">
+      ${renderStake('stakeFlat', 'flat')}
+      ${renderStake('stakePercentage', 'percentage')}
+      ${renderStake('stakeKelly', 'kelly')}
+      ${renderStake('edge', 'edge')}
+    </dl>
+    <p class="calculator-hint" data-output="no-edge" hidden>${t('calculator.noEdge')}</p>
+  </fieldset>
+`;
+
+/**
+ * Render the calculator into a container, re-rendering when the locale changes.
+ * @param {HTMLElement} container
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {HTMLElement} The container
+ */
+export const initOddsCalculator = (container, { signal } = {}) => {
+  const values = readQuery();
+
+  const output = (name) => container.querySelector(`[data-output="${name}"]`);
+
+  const update = () => {
+    output('implied').textContent = percent(impliedProbability(values.odds));
+
+    const { implied, fair, margin } = marketMargin(MARKET.map((key) => values[key]));
+    MARKET.forEach((key, index) => {
+      output(`implied-${key}`).textContent = percent(implied[index]);
+      output(`fair-${key}`).textContent = percent(fair[index]);
+    });
+    output('margin').textContent = percent(margin);
+
+    const stakes = suggestStakes({
+      bankroll: values.bankroll,
+      probability: values.probability / 100,
+      decimal: values.odds,
+      flatStake: values.flatStake,
+      percentage: values.percentage / 100,
+      kellyMultiplier: values.kelly,
+    });
+
+    output('staking-hint').textContent = t('calculator.stakingHint', {
+      odds: formatOdds(values.odds, 'decimal'),
+    });
+    output('flat').textContent = amount(stakes.flat);
+    output('percentage').textContent = amount(stakes.percentage);
+    output('kelly').textContent = amount(stakes.kelly);
+    output('edge').textContent = formatNumber(stakes.edge, {
+      style: 'percent',
+      maximumFractionDigits: 1,
+      signDisplay: 'exceptZero',
+    });
+    output('no-edge').hidden = stakes.kelly > 0;
+  };
+
+  const render = () => {
+    container.innerHTML = `
+      <div class="calculator-grid">
+        ${renderConverter(values)}
+        ${renderMarket(values)}
+        ${renderStaking(values)}
+      </div>
+    `;
+    update();
+  };
+
+  const handleInput = (field) => {
+    const definition = FIELDS[field.name];
+    if (!definition) {
+      return;
+    }
+
+    const value = definition.parse(field.value);
+    if (Number.isNaN(value)) {
+      setFieldError(field, t(`calculator.errors.${definition.error}`));
+      return;
+    }
+
+    clearFieldError(field);
+    values[definition.key] = value;
+
+    // Keep the other odds formats in step with the one being typed in
+    if (definition.key === 'odds') {
+      Object.keys(FIELDS)
+        .filter((name) => FIELDS[name].key === 'odds' && name !== field.name)
+        .forEach((name) => {
+          const input = container.querySelector(`[name="${name}"]`);
+          input.value = inputValue(name, values);
+          clearFieldError(input);
+        });
+    }
+
+    update();
+    writeQuery(values);
+  };
+
+  container.addEventListener('input', (e) => handleInput(e.target), { signal });
+
+  // Tidy a valid entry into its canonical form ("2.5" → "2.50") once the field is left
+  container.addEventListener(
+    'focusout',
+    (e) => {
+      const definition = FIELDS[e.target.name];
+      if (definition && !Number.isNaN(definition.parse(e.target.value))) {
+        e.target.value = inputValue(e.target.name, values);
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener('localechange', render, { signal });
+
+  render();
+  return container;
+};
@@ -0,0 +1,121 @@
+/**
+ * Match Predictions Section
+ *
+ * Loads upcoming fixtures and team ratings from `src/data/fixtures.json`,
+ * runs each fixture through the Poisson model and renders it as a card with
+ * outcome probabilities, the most likely scorelines and a confidence bar.
+ */
+
+import { formatDate, formatNumber, t } from '../i18n/index.js';
+import { predictMatch } from '../utils/poisson.js';
+
+const KICKOFF_FORMAT = {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+};
+
+const percent = (value) => formatNumber(value, { style: 'percent', maximumFractionDigits: 0 });
+
+const loadFixtures = () => import('../data/fixtures.json').then((module) => module.default);
+
+/**
+ * Predict every upcoming fixture in a data set, soonest first.
+ * @param {object} data Contents of fixtures.json
+ * @param {Date} [now]
+ */
+export const buildPredictions = (data, now = new Date()) =>
+  data.fixtures
+    .filter((fixture) => new Date(fixture.kickoff) >= now)
+    .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+    .map((fixture) => {
+      const league = data.leagues[fixture.league];
+      const home = data.teams[fixture.home];
+      const away = data.teams[fixture.away];
+
+      return {
+        ...fixture,
+        league,
+        home,
+        away,
+        prediction: predictMatch(home, away, { leagueAverage: league.average }),
+      };
+    });
+
+const createCard = ({ id, league, kickoff, home, away, prediction }) => {
+  const { probabilities, scorelines, outcome, confidence } = prediction;
+  const card = document.createElement('article');
+  card.className = 'feature-card prediction-card';
+  card.dataset.fixture = id;
+
+  const title = `${home.name} ${t('predictions.vs')} ${away.name}`;
+  const pickLabel =
+    outcome === 'draw'
+      ? t('predictions.pickDraw')
+      : t('predictions.pickWin', { team: outcome === 'home' ? home.name : away.name });
+
+  card.innerHTML = `
+    <p class="prediction-meta">
+      <span>${league.name}</span>
+      <time datetime="${kickoff}">${formatDate(kickoff, KICKOFF_FORMAT)}</time>
+    </p>
+    <h3>${home.name} <span class="prediction-vs">${t('predictions.vs')}</span> ${away.name}</h3>
+    <dl class="prediction-outcomes">
+      ${Object.entries(probabilities)
+        .map(
+          ([key, value]) => `
+        <div class="prediction-outcome${key === outcome ? ' is-pick' : ''}">
+          <dt>${t(`predictions.${key}`)}</dt>
+          <dd>${percent(value)}</dd>
+        </div>`
+        )
+        .join('')}
+    </dl>
+    <p class="prediction-scorelines">
+      ${t('predictions.likelyScores')}
+      ${scorelines.map((s) => `<span>${s.home}-${s.away} <small>(${percent(s.probability)})</small></span>`).join(', ')}
+    </p>
+    <div class="confidence">
+      <div class="confidence-label">
+        <span>${pickLabel}</span>
+        <strong>${percent(confidence)}</strong>
+      </div>
+      <div class="confidence-bar" role="meter" aria-valuemin="0" aria-valuemax="100"
+        aria-valuenow="${Math.round(confidence * 100)}" aria-label="${t('predictions.confidenceLabel', { match: title })}">
+        <span style="width: ${Math.round(confidence * 100)}%"></span>
+      </div>
+    </div>
+  `;
+
+  return card;
+};
+
+/**
+ * Render prediction cards into a container, re-rendering when the locale changes.
+ * @param {HTMLElement} container
+ * @param {{ onRender?: (cards: HTMLElement[]) => void, signal?: AbortSignal }} [options]
+ *   Called with the cards after every render, e.g. to attach entrance animations
+ * @returns {Promise<HTMLElement[]>} The initially rendered cards
+ */
+export const initPredictions = async (container, { onRender = () => {}, signal } = {}) => {
+  const data = await loadFixtures();
+
+  const render = () => {
+    const predictions = buildPredictions(data);
+
+    if (!predictions.length) {
+      container.innerHTML = `<p class="predictions-empty">${t('predictions.empty')}</p>`;
+      return [];
+    }
+
+    const cards = predictions.map(createCard);
+    container.replaceChildren(...cards);
+    onRender(cards);
+    return cards;
+  };
+
+  document.addEventListener('localechange', render, { signal });
+  return render();
+};
@@ -0,0 +1,254 @@
+/**
+ * Pricing Section
+ *
+ * Renders plan cards and a feature comparison table from `src/data/plans.json`,
+ * with a monthly/annual billing switch and a currency selector. Choosing a plan
+ * copies it into the signup form's hidden `plan`, `billing` and `currency` fields.
+ *
+ * plans.json holds prices and catalog keys: each plan's `name`, `description`
+ * and `cta` are under its `i18n` key, and a feature's label and its text values
+ * are keys of their own.
+ */
+
+import { formatNumber, getLocale, t } from '../i18n/index.js';
+import { icon } from '../utils/icons.js';
+
+const loadPlans = () => import('../data/plans.json').then((module) => module.default);
+
+const formatters = new Map();
+
+// Whole amounts drop the decimals ("$19"); monthly equivalents keep cents ("$15.83")
+const formatPrice = (amount, currency) => {
+  const rounded = Math.round(amount * 100) / 100;
+  const digits = Number.isInteger(rounded) ? 0 : 2;
+  const key = `${getLocale()}:${currency}:${digits}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      })
+    );
+  }
+  return formatters.get(key).format(rounded);
+};
+
+/**
+ * Annual saving relative to paying monthly for a year, as a fraction.
+ * @param {{ monthly: number, annual: number }} price
+ */
+export const annualSavings = ({ monthly, annual }) => (monthly > 0 ? 1 - annual / (monthly * 12) : 0);
+
+const maxSavings = (plans, currency) =>
+  Math.max(...plans.map((plan) => annualSavings(plan.prices[currency])));
+
+const planText = (plan, field) => t(`${plan.i18n}.${field}`);
+
+const featureCell = (value) => {
+  if (value === true) {
+    return `${icon('check')}<span class="sr-only">${t('pricing.included')}</span>`;
+  }
+  if (value === false) {
+    return `${icon('minus')}<span class="sr-only">${t('pricing.notIncluded')}</span>`;
+  }
+  return t(value);
+};
+
+const renderControls = (data, state) => `
+  <div class="pricing-controls">
+    <div class="billing-switch">
+      <span id="billing-monthly-label">${t('pricing.monthly')}</span>
+      <button type="button" class="billing-toggle" role="switch" aria-checked="false"
+        aria-labelledby="billing-monthly-label billing-annual-label" data-billing-toggle>
+        <span class="billing-toggle-thumb"></span>
+      </button>
+      <span id="billing-annual-label">${t('pricing.annual')} <span class="billing-savings" data-savings></span></span>
+    </div>
+    <label class="currency-select">
+      <span>${t('pricing.currency')}</span>
+      <select data-currency>
+        ${data.currencies
+          .map((code) => `<option value="${code}"${code === state.currency ? ' selected' : ''}>${code}</option>`)
+          .join('')}
+      </select>
+    </label>
+  </div>
+`;
+
+const renderCard = (plan, features) => `
+  <article class="pricing-card${plan.highlighted ? ' is-highlighted' : ''}" data-plan="${plan.id}">
+    ${plan.highlighted ? `<p class="pricing-badge">${t('pricing.mostPopular')}</p>` : ''}
+    <h3>${planText(plan, 'name')}</h3>
+    <p class="pricing-description">${planText(plan, 'description')}</p>
+    <p class="pricing-price">
+      <span class="pricing-amount" data-price></span>
+      <span class="pricing-period" data-period></span>
+    </p>
+    <p class="pricing-note" data-price-note></p>
+    <ul class="pricing-features">
+      ${features
+        .filter((feature) => feature.values[plan.id])
+        .map((feature) => {
+          const value = feature.values[plan.id];
+          return `<li><i class="fas fa-check" aria-hidden="true"></i> ${t(feature.i18n)}${value === true ? '' : `: ${t(value)}`}</li>`;
+        })
+        .join('')}
+    </ul>
+    <a href="#signup" class="btn pricing-cta" data-choose-plan="${plan.id}" data-age-gate>
+      ${planText(plan, 'cta')}
+    </a>
+  </article>
+`;
+
+const renderComparison = (plans, features) => `
+  <div class="pricing-comparison">
+    <table>
+      <caption>${t('pricing.compare')}</caption>
+      <thead>
+        <tr>
+          <th scope="col">${t('pricing.feature')}</th>
+          ${plans.map((plan) => `<th scope="col">${planText(plan, 'name')}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${features
+          .map(
+            (feature) => `
+          <tr>
+            <th scope="row">${t(feature.i18n)}</th>
+            ${plans.map((plan) => `<td>${featureCell(feature.values[plan.id])}</td>`).join('')}
+          </tr>`
+          )
+          .join('')}
+      </tbody>
+    </table>
+  </div>
+`;
+
+/**
+ * Render the pricing section and connect it to a signup form. The section is
+ * re-rendered on locale changes; billing period and currency are kept.
+ * @param {HTMLElement} container
+ * @param {HTMLFormElement | null} signupForm Form with hidden plan, billing and currency inputs
+ * @param {{ onRender?: (cards: HTMLElement[]) => void, signal?: AbortSignal }} [options]
+ *   Called with the pricing cards after every render
+ * @returns {Promise<HTMLElement[]>} The initially rendered pricing cards
+ */
+export const initPricing = async (container, signupForm, { onRender = () => {}, signal } = {}) => {
+  const data = await loadPlans();
+  const { plans, features } = data;
+  const state = { billing: 'monthly', currency: data.defaultCurrency, plan: null };
+
+  const updateSelection = () => {
+    const summary = signupForm?.querySelector('[data-selected-plan]');
+    const plan = plans.find(({ id }) => id === state.plan);
+
+    if (summary && plan) {
+      summary.removeAttribute('data-i18n');
+      summary.textContent = t('pricing.selectedPlan', {
+        plan: planText(plan, 'name'),
+        billing: t(`pricing.${state.billing}`),
+        currency: state.currency,
+      });
+    }
+  };
+
+  // Once a plan is chosen the form sends whatever billing and currency are showing
+  const syncForm = () => {
+    if (!signupForm || !state.plan) {
+      return;
+    }
+    ['plan', 'billing', 'currency'].forEach((name) => {
+      const input = signupForm.elements.namedItem(name);
+      if (input) {
+        input.value = state[name];
+      }
+    });
+    updateSelection();
+  };
+
+  const update = () => {
+    const annual = state.billing === 'annual';
+    const savings = maxSavings(plans, state.currency);
+
+    container.querySelector('[data-billing-toggle]').setAttribute('aria-checked', String(annual));
+    container.querySelector('[data-savings]').textContent =
+      savings > 0 ? t('pricing.savingsUpTo', { percent: formatNumber(savings, { style: 'percent' }) }) : '';
+
+    container.querySelectorAll('.pricing-card').forEach((card) => {
+      const plan = plans.find(({ id }) => id === card.dataset.plan);
+      const price = plan.prices[state.currency];
+      const free = price.monthly === 0;
+
+      card.querySelector('[data-price]').textContent = formatPrice(
+        annual && !free ? price.annual / 12 : price.monthly,
+        state.currency
+      );
+      card.querySelector('[data-period]').textContent = free ? t('pricing.forever') : t('pricing.perMonth');
+      card.querySelector('[data-price-note]').textContent =
+        annual && !free
+          ? t('pricing.billedYearly', {
+              amount: formatPrice(price.annual, state.currency),
+              percent: formatNumber(annualSavings(price), { style: 'percent' }),
+            })
+          : '';
+    });
+
+    syncForm();
+  };
+
+  const selectPlan = (planId) => {
+    if (!signupForm) {
+      return;
+    }
+    state.plan = planId;
+    syncForm();
+  };
+
+  const render = () => {
+    container.innerHTML = `
+      ${renderControls(data, state)}
+      <div class="pricing-grid">${plans.map((plan) => renderCard(plan, features)).join('')}</div>
+      ${renderComparison(plans, features)}
+    `;
+    update();
+
+    const cards = [...container.querySelectorAll('.pricing-card')];
+    onRender(cards);
+    return cards;
+  };
+
+  container.addEventListener(
+    'click',
+    (e) => {
+      if (e.target.closest('[data-billing-toggle]')) {
+        state.billing = state.billing === 'monthly' ? 'annual' : 'monthly';
+        update();
+        return;
+      }
+      const choose = e.target.closest('[data-choose-plan]');
+      if (choose) {
+        selectPlan(choose.dataset.choosePlan);
+      }
+    },
+    { signal }
+  );
+
+  container.addEventListener(
+    'change',
+    (e) => {
+      if (e.target.matches('[data-currency]')) {
+        state.currency = e.target.value;
+        update();
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener('localechange', render, { signal });
+  return render();
+};
@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import plans from '../data/plans.json';
+import { LOCALES, setLocale } from '../i18n/index.js';
+
+import { initPricing } from './pricing.js';
+
+const keys = [
+  ...plans.plans.flatMap(({ i18n }) => [`${i18n}.name`, `${i18n}.description`, `${i18n}.cta`]),
+  ...plans.features.flatMap(({ i18n, values }) => [
+    i18n,
+    ...Object.values(values).filter((value) => typeof value === 'string'),
+  ]),
+];
+
+const text = (element) => element.textContent.replace(/\s+/g, ' ').trim();
+
+describe('initPricing', () => {
+  let container;
+  let form;
+  let controller;
+
+  beforeEach(() => {
+    controller = new AbortController();
+    document.body.innerHTML = `
+      <div data-pricing></div>
+      <form>
+        <input type="hidden" name="plan"><input type="hidden" name="billing">
+        <input type="hidden" name="currency"><p data-selected-plan></p>
+      </form>
+    `;
+    container = document.querySelector('[data-pricing]');
+    form = document.querySelector('form');
+  });
+
+  afterEach(async () => {
+    controller.abort();
+    await setLocale('en');
+  });
+
+  it('renders plan names, features and calls to action from the catalog', async () => {
+    await initPricing(container, form, { signal: controller.signal });
+    const pro = container.querySelector('[data-plan="pro"]');
+
+    expect(text(pro.querySelector('h3'))).toBe('Pro');
+    expect(text(pro.querySelector('.pricing-cta'))).toBe('Choose Pro');
+    expect(text(pro.querySelector('.pricing-features li'))).toBe('Match predictions: Unlimited');
+    expect(text(container.querySelector('tbody th'))).toBe('Match predictions');
+  });
+
+  it('re-renders in the new locale', async () => {
+    await initPricing(container, form, { signal: controller.signal });
+    container.querySelector('[data-choose-plan="free"]').click();
+
+    await setLocale('de');
+
+    const free = container.querySelector('[data-plan="free"]');
+    expect(text(free.querySelector('.pricing-cta'))).toBe('Kostenlos starten');
+    expect(text(free.querySelector('.pricing-features li'))).toBe('Spielprognosen: 5 pro Woche');
+    expect(text(form.querySelector('[data-selected-plan]'))).toBe(
+      'Gewählter Tarif: Starter (Monatlich, USD)'
+    );
+  });
+
+  it.each(Object.keys(LOCALES))('has every plan and feature in the %s catalog', async (locale) => {
+    const { default: catalog } = await import(`../i18n/locales/${locale}.json`);
+    const lookup = (key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+    keys.forEach((key) => expect(typeof lookup(key), key).toBe('string'));
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Responsible Gambling Notice
+ *
+ * The always-visible footer notice: the minimum age, a short
+ * responsible-gambling message and a link to the support service for the
+ * configured jurisdiction.
+ */
+
+import { t } from '../i18n/index.js';
+import { getJurisdiction } from '../utils/jurisdiction.js';
+
+/**
+ * @param {HTMLElement} container
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export const initResponsibleGamblingNotice = (container, { signal } = {}) => {
+  const render = () => {
+    const { minimumAge, support } = getJurisdiction();
+
+    container.innerHTML = `
+      <span class="age-badge" aria-hidden="true">${minimumAge}+</span>
+      <p>
+        ${t('responsibleGambling.notice', { age: minimumAge })}
+        ${t('responsibleGambling.support')}
+        <a href="${support.url}" target="_blank" rel="noopener">${support.name}</a>
+      </p>
+    `;
+  };
+
+  document.addEventListener('localechange', render, { signal });
+  render();
+};
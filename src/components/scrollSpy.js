@@ -0,0 +1,82 @@
+/**
+ * Scroll Spy
+ *
+ * Marks the navigation links that point at the section currently in view
+ * with `aria-current="location"`, and mirrors that section in the address
+ * bar with `history.replaceState` so scrolling adds no history entries.
+ *
+ * A section is in view when it spans the line just below the fixed header;
+ * at the very bottom of the page the last linked section wins, since short
+ * final sections (like the footer) can never reach that line.
+ */
+
+import { HEADER_OFFSET } from '../utils/scroll.js';
+import { onScroll } from '../utils/scrollManager.js';
+
+// Slack so a section scrolled to exactly HEADER_OFFSET already counts
+const LINE_SLACK = 2;
+
+/**
+ * @param {NodeListOf<HTMLAnchorElement> | HTMLAnchorElement[]} links In-page links, e.g. `#features`
+ * @returns {() => void} Stop spying
+ */
+export const initScrollSpy = (links) => {
+  const linksByHash = new Map();
+
+  [...links].forEach((link) => {
+    const hash = link.getAttribute('href');
+    if (hash?.length > 1 && document.getElementById(hash.slice(1))) {
+      linksByHash.set(hash, [...(linksByHash.get(hash) || []), link]);
+    }
+  });
+
+  const sections = [...linksByHash.keys()]
+    .map((hash) => document.getElementById(hash.slice(1)))
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+  let activeHash = null;
+
+  const findActive = ({ y, viewportHeight, documentHeight }) => {
+    if (y + viewportHeight >= documentHeight - LINE_SLACK) {
+      return sections[sections.length - 1];
+    }
+
+    const line = HEADER_OFFSET + LINE_SLACK;
+    return sections.find((section) => {
+      const { top, bottom } = section.getBoundingClientRect();
+      return top <= line && bottom > line;
+    });
+  };
+
+  const setActive = (hash) => {
+    linksByHash.forEach((sectionLinks, linkHash) => {
+      sectionLinks.forEach((link) => {
+        if (linkHash === hash) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    });
+
+    const { pathname, search, hash: currentHash } = window.location;
+
+    // Leave hashes we didn't set alone (e.g. an FAQ deep link)
+    if (hash) {
+      window.history.replaceState(null, '', hash);
+    } else if (currentHash === activeHash) {
+      window.history.replaceState(null, '', `${pathname}${search}`);
+    }
+
+    activeHash = hash;
+  };
+
+  return onScroll((state) => {
+    const section = findActive(state);
+    const hash = section ? `#${section.id}` : null;
+
+    if (hash !== activeHash) {
+      setActive(hash);
+    }
+  });
+};
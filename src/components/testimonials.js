@@ -0,0 +1,314 @@
+/**
+ * Testimonials Carousel
+ *
+ * Renders `src/content/testimonials.json` as a carousel following the WAI-ARIA
+ * carousel pattern: previous/next buttons, dot pagination, a rotation
+ * toggle and touch swipe. Autoplay pauses while the carousel is hovered or
+ * focused and is off entirely while reduced motion is on (see
+ * `src/utils/motion.js`); while it is off, slide changes are announced
+ * through a polite live region.
+ *
+ * Star ratings are computed from the numeric ratings (to the nearest half),
+ * and the reviews plus their average are published as `Review` /
+ * `AggregateRating` structured data.
+ *
+ * The same file is rendered into index.html at build time (see
+ * src/content/render.js), which also puts each review's text and role in the
+ * i18n catalogs under `testimonials.reviews.<key>`. The carousel replaces that
+ * list and shows the text and role in the active locale.
+ */
+
+import { formatNumber, t } from '../i18n/index.js';
+import { loadConsentedResources } from '../utils/consent.js';
+import { icon } from '../utils/icons.js';
+import { prefersReducedMotion } from '../utils/motion.js';
+import { setJsonLd } from '../utils/structuredData.js';
+
+const AUTOPLAY_INTERVAL = 6000;
+const SWIPE_THRESHOLD = 50;
+const MAX_RATING = 5;
+
+const loadTestimonials = () =>
+  import('../content/testimonials.json').then((module) => module.default);
+
+const avatarUrl = (base, size) => `${base}?w=${size}&h=${size}&q=80&auto=format&fit=crop`;
+
+/**
+ * Average rating and count of a list of testimonials.
+ * @param {{ rating: number }[]} testimonials
+ * @returns {{ average: number, count: number }}
+ */
+export const aggregateRating = (testimonials) => ({
+  average: testimonials.reduce((sum, { rating }) => sum + rating, 0) / testimonials.length,
+  count: testimonials.length,
+});
+
+/**
+ * Star icons for a rating out of 5, rounded to the nearest half star.
+ * @param {number} rating
+ * @returns {string}
+ */
+export const renderStars = (rating) => {
+  const halves = Math.round(Math.min(Math.max(rating, 0), MAX_RATING) * 2);
+  const full = Math.floor(halves / 2);
+  const half = halves % 2;
+
+  return [
+    ...Array(full).fill('star'),
+    ...Array(half).fill('star-half'),
+    ...Array(MAX_RATING - full - half).fill('star-empty'),
+  ]
+    .map(icon)
+    .join('');
+};
+
+const formatRating = (rating) => formatNumber(rating, { maximumFractionDigits: 1 });
+
+const renderAvatar = (base) => `
+  <img class="author-image blur-up" alt="" width="60" height="60" loading="lazy"
+    data-consent="functional"
+    data-consent-src="${avatarUrl(base, 12)}"
+    data-src="${avatarUrl(base, 120)}"
+    data-srcset="${avatarUrl(base, 60)} 1x, ${avatarUrl(base, 120)} 2x">
+`;
+
+const reviewText = (testimonial, field) => t(`testimonials.reviews.${testimonial.key}.${field}`);
+
+const renderSlide = (testimonial, index, total) => `
+  <figure class="testimonial carousel-slide" role="group" aria-roledescription="slide"
+    aria-label="${t('testimonials.slideLabel', { index: index + 1, total })}">
+    <blockquote class="testimonial-text">${reviewText(testimonial, 'text')}</blockquote>
+    <figcaption class="testimonial-author">
+      ${renderAvatar(testimonial.avatar)}
+      <div class="author-info">
+        <h4>${testimonial.name}</h4>
+        <p>${reviewText(testimonial, 'role')}</p>
+        <div class="testimonial-rating" role="img"
+          aria-label="${t('testimonials.rating', { rating: formatRating(testimonial.rating) })}">
+          ${renderStars(testimonial.rating)}
+        </div>
+      </div>
+    </figcaption>
+  </figure>
+`;
+
+const renderCarousel = (testimonials) => {
+  const { average, count } = aggregateRating(testimonials);
+
+  return `
+    <p class="testimonials-summary">
+      <span class="testimonial-rating" aria-hidden="true">${renderStars(average)}</span>
+      ${t('testimonials.average', { rating: formatRating(average), count })}
+    </p>
+    <div class="testimonials-slider" role="region" aria-roledescription="carousel"
+      aria-label="${t('testimonials.carouselLabel')}">
+      <div class="carousel-controls">
+        <button type="button" class="carousel-rotation" data-carousel="rotation"></button>
+        <button type="button" class="carousel-prev" data-carousel="prev"
+          aria-controls="testimonials-track" aria-label="${t('testimonials.previous')}">
+          ${icon('chevron-left')}
+        </button>
+        <button type="button" class="carousel-next" data-carousel="next"
+          aria-controls="testimonials-track" aria-label="${t('testimonials.next')}">
+          ${icon('chevron-right')}
+        </button>
+      </div>
+      <div class="carousel-viewport">
+        <div class="carousel-track" id="testimonials-track" aria-live="off">
+          ${testimonials.map((item, index) => renderSlide(item, index, count)).join('')}
+        </div>
+      </div>
+      <div class="carousel-dots">
+        ${testimonials
+          .map(
+            (item, index) => `
+          <button type="button" class="carousel-dot" data-carousel="${index}"
+            aria-controls="testimonials-track"
+            aria-label="${t('testimonials.goTo', { index: index + 1, name: item.name })}"></button>`
+          )
+          .join('')}
+      </div>
+    </div>
+  `;
+};
+
+const renderJsonLd = ({ product, testimonials }) => {
+  const { average, count } = aggregateRating(testimonials);
+
+  setJsonLd('testimonials-schema', {
+    '@type': 'Product',
+    name: product.name,
+    description: product.description,
+    aggregateRating: {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round(average * 10) / 10,
+      reviewCount: count,
+      bestRating: MAX_RATING,
+      worstRating: 1,
+    },
+    review: testimonials.map((item) => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: item.name },
+      datePublished: item.date,
+      reviewBody: item.text,
+      reviewRating: { '@type': 'Rating', ratingValue: item.rating, bestRating: MAX_RATING },
+    })),
+  });
+};
+
+/**
+ * Render the testimonials carousel into a container, re-rendering when the locale changes.
+ * @param {HTMLElement} container
+ * @param {{ onRender?: (slider: HTMLElement) => void, signal?: AbortSignal }} [options]
+ * @returns {Promise<HTMLElement>} The carousel element
+ */
+export const initTestimonials = async (container, { onRender = () => {}, signal } = {}) => {
+  const data = await loadTestimonials();
+  const total = data.testimonials.length;
+
+  let current = 0;
+  let timer = null;
+  // Stopped by the visitor with the rotation button; hover and focus only pause
+  let stopped = prefersReducedMotion();
+  let paused = false;
+
+  const query = (selector) => container.querySelector(selector);
+
+  const update = () => {
+    query('.carousel-track').style.transform = `translateX(-${current * 100}%)`;
+
+    container.querySelectorAll('.carousel-slide').forEach((slide, index) => {
+      const active = index === current;
+      slide.classList.toggle('active', active);
+      slide.setAttribute('aria-hidden', String(!active));
+      slide.inert = !active;
+    });
+
+    container.querySelectorAll('.carousel-dot').forEach((dot, index) => {
+      dot.setAttribute('aria-current', String(index === current));
+    });
+  };
+
+  const goTo = (index) => {
+    current = (index + total) % total;
+    update();
+  };
+
+  const rotating = () => !stopped && !paused;
+
+  const schedule = () => {
+    clearInterval(timer);
+    timer = rotating() ? setInterval(() => goTo(current + 1), AUTOPLAY_INTERVAL) : null;
+
+    // Announce slide changes only when they aren't happening on their own
+    query('.carousel-track').setAttribute('aria-live', rotating() ? 'off' : 'polite');
+
+    const rotation = query('.carousel-rotation');
+    rotation.setAttribute('aria-label', t(stopped ? 'testimonials.play' : 'testimonials.pause'));
+    rotation.innerHTML = icon(stopped ? 'play' : 'pause');
+  };
+
+  const render = () => {
+    container.innerHTML = renderCarousel(data.testimonials);
+    loadConsentedResources(container);
+    update();
+    schedule();
+
+    const slider = query('.testimonials-slider');
+    onRender(slider);
+    return slider;
+  };
+
+  container.addEventListener(
+    'click',
+    (e) => {
+      const action = e.target.closest('[data-carousel]')?.dataset.carousel;
+
+      if (action === 'rotation') {
+        stopped = !stopped;
+      } else if (action === 'prev') {
+        goTo(current - 1);
+      } else if (action === 'next') {
+        goTo(current + 1);
+      } else if (action !== undefined) {
+        goTo(Number(action));
+      }
+      if (action !== undefined) {
+        schedule();
+      }
+    },
+    { signal }
+  );
+
+  const setPaused = (value) => {
+    paused = value;
+    schedule();
+  };
+
+  container.addEventListener('mouseenter', () => setPaused(true), { signal });
+  container.addEventListener(
+    'mouseleave',
+    () => {
+      setPaused(container.contains(document.activeElement));
+    },
+    { signal }
+  );
+  container.addEventListener('focusin', () => setPaused(true), { signal });
+  container.addEventListener(
+    'focusout',
+    (e) => {
+      if (!container.contains(e.relatedTarget)) {
+        setPaused(container.matches(':hover'));
+      }
+    },
+    { signal }
+  );
+
+  let touchStart = null;
+
+  container.addEventListener(
+    'touchstart',
+    (e) => {
+      const [touch] = e.changedTouches;
+      touchStart = { x: touch.clientX, y: touch.clientY };
+    },
+    { passive: true, signal }
+  );
+
+  container.addEventListener(
+    'touchend',
+    (e) => {
+      if (!touchStart) {
+        return;
+      }
+
+      const [touch] = e.changedTouches;
+      const dx = touch.clientX - touchStart.x;
+      const dy = touch.clientY - touchStart.y;
+      touchStart = null;
+
+      // Mostly-horizontal swipes only, so vertical page scrolling still works
+      if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+        goTo(dx < 0 ? current + 1 : current - 1);
+        schedule();
+      }
+    },
+    { signal }
+  );
+
+  document.addEventListener(
+    'motionchange',
+    (e) => {
+      stopped = e.detail.reduced;
+      schedule();
+    },
+    { signal }
+  );
+
+  document.addEventListener('localechange', render, { signal });
+
+  signal?.addEventListener('abort', () => clearInterval(timer));
+
+  renderJsonLd(data);
+  return render();
+};
@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { setLocale } from '../i18n/index.js';
+import { saveConsent } from '../utils/consent.js';
+
+import { initTestimonials, renderStars } from './testimonials.js';
+
+vi.hoisted(() => {
+  window.matchMedia = (media) => ({
+    media,
+    matches: false,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+});
+
+const iconNames = (root) =>
+  [...root.querySelectorAll('svg.icon')].map((svg) =>
+    [...svg.classList].find((name) => name.startsWith('icon-'))
+  );
+
+describe('renderStars', () => {
+  it('rounds to the nearest half star', () => {
+    const container = document.createElement('div');
+
+    container.innerHTML = renderStars(3.7);
+    expect(iconNames(container)).toEqual([
+      'icon-star',
+      'icon-star',
+      'icon-star',
+      'icon-star-half',
+      'icon-star-empty',
+    ]);
+
+    container.innerHTML = renderStars(4.8);
+    expect(iconNames(container)).toEqual(Array(5).fill('icon-star'));
+  });
+
+  it('does not depend on the Font Awesome stylesheet', () => {
+    expect(renderStars(4.5)).not.toMatch(/<i\b|fa-/);
+  });
+});
+
+describe('initTestimonials', () => {
+  let container;
+  let controller;
+
+  beforeEach(() => {
+    controller = new AbortController();
+    saveConsent({ analytics: false, functional: false });
+    document.body.innerHTML = '<div data-testimonials></div>';
+    container = document.querySelector('[data-testimonials]');
+  });
+
+  // Stops the autoplay timer
+  afterEach(() => controller.abort());
+
+  it('shows the stars without functional consent', async () => {
+    await initTestimonials(container, { signal: controller.signal });
+
+    const summary = container.querySelector('.testimonials-summary .testimonial-rating');
+    expect(summary.querySelectorAll('svg.icon')).toHaveLength(5);
+
+    const ratings = [...container.querySelectorAll('.carousel-slide .testimonial-rating')];
+    expect(ratings.length).toBeGreaterThan(0);
+    ratings.forEach((rating) => {
+      expect(rating.getAttribute('aria-label')).toBeTruthy();
+      expect(rating.querySelectorAll('svg.icon')).toHaveLength(5);
+    });
+  });
+
+  it('shows the reviews in the active locale', async () => {
+    await initTestimonials(container, { signal: controller.signal });
+    const text = () => container.querySelector('.carousel-slide .testimonial-text').textContent;
+    const role = () => container.querySelector('.carousel-slide .author-info p').textContent;
+
+    expect(role()).toBe('Premier League bettor, Manchester');
+
+    await setLocale('it');
+    expect(role()).toBe('Scommettitore di Premier League, Manchester');
+    expect(text()).toMatch(/^Questa piattaforma/);
+
+    await setLocale('en');
+  });
+
+  it('keeps the avatars gated without functional consent', async () => {
+    await initTestimonials(container, { signal: controller.signal });
+
+    container.querySelectorAll('img[data-consent="functional"]').forEach((img) => {
+      expect(img.hasAttribute('src')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Theme Toggle
+ *
+ * A navbar button that cycles light → dark → system. Its icon shows the
+ * current mode and its accessible label names the current and next mode.
+ */
+
+import { t } from '../i18n/index.js';
+import { icon } from '../utils/icons.js';
+import { getThemeMode, setThemeMode, THEME_MODES } from '../utils/theme.js';
+
+const ICONS = { light: 'sun', dark: 'moon', system: 'circle-half-stroke' };
+
+const nextMode = (mode) => THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+/**
+ * @param {HTMLButtonElement} button
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export const initThemeToggle = (button, { signal } = {}) => {
+  const render = () => {
+    const mode = getThemeMode();
+    const label = t('theme.toggle', {
+      mode: t(`theme.${mode}`),
+      next: t(`theme.${nextMode(mode)}`),
+    });
+
+    button.innerHTML = icon(ICONS[mode]);
+    button.setAttribute('aria-label', label);
+    button.title = label;
+  };
+
+  button.addEventListener('click', () => setThemeMode(nextMode(getThemeMode())), { signal });
+  document.addEventListener('themechange', render, { signal });
+  document.addEventListener('localechange', render, { signal });
+  render();
+};
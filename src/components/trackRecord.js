@@ -0,0 +1,166 @@
+/**
+ * Track Record Section
+ *
+ * Loads the historical predictions in `src/data/track-record.json`, scores
+ * them with the track-record metrics and renders headline counters, league
+ * and month breakdowns and a calibration chart.
+ */
+
+import { formatDate, formatNumber, t } from '../i18n/index.js';
+import { byLeague, byMonth, calibration, summarize } from '../utils/trackRecord.js';
+
+const CHART_SIZE = 300;
+const CHART_PADDING = 40;
+
+const loadTrackRecord = () => import('../data/track-record.json').then((module) => module.default);
+
+const percent = (value) => formatNumber(value, { style: 'percent', maximumFractionDigits: 1 });
+const signedPercent = (value) =>
+  formatNumber(value, { style: 'percent', maximumFractionDigits: 1, signDisplay: 'exceptZero' });
+const decimal = (value) => formatNumber(value, { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+
+// Counter targets are in percentage points (see src/utils/counter.js)
+const renderPercentCounter = (value) =>
+  `<span class="counter" data-target="${(value * 100).toFixed(1)}" data-format="percent"
+    data-decimals="1">0</span>`;
+
+const renderStats = (summary) => `
+  <div class="about-stats track-stats">
+    <div class="stat">
+      <span class="stat-number"><span class="counter" data-target="${summary.count}">0</span></span>
+      <span class="stat-label">${t('trackRecord.scored')}</span>
+    </div>
+    <div class="stat">
+      <span class="stat-number">${renderPercentCounter(summary.hitRate)}</span>
+      <span class="stat-label">${t('trackRecord.hitRate')}</span>
+    </div>
+    <div class="stat">
+      <span class="stat-number">${renderPercentCounter(summary.roi)}</span>
+      <span class="stat-label">${t('trackRecord.roi')}</span>
+    </div>
+    <div class="stat">
+      <span class="stat-number">${decimal(summary.brier)}</span>
+      <span class="stat-label">${t('trackRecord.brier')}</span>
+    </div>
+    <div class="stat">
+      <span class="stat-number">${decimal(summary.logLoss)}</span>
+      <span class="stat-label">${t('trackRecord.logLoss')}</span>
+    </div>
+  </div>
+`;
+
+const renderTable = (caption, firstColumn, rows) => `
+  <table class="track-table">
+    <caption>${caption}</caption>
+    <thead>
+      <tr>
+        <th scope="col">${firstColumn}</th>
+        <th scope="col">${t('trackRecord.matches')}</th>
+        <th scope="col">${t('trackRecord.hitRate')}</th>
+        <th scope="col">${t('trackRecord.brier')}</th>
+        <th scope="col">${t('trackRecord.logLoss')}</th>
+        <th scope="col">${t('trackRecord.roi')}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rows
+        .map(
+          ({ label, summary }) => `
+        <tr>
+          <th scope="row">${label}</th>
+          <td>${formatNumber(summary.count)}</td>
+          <td>${percent(summary.hitRate)}</td>
+          <td>${decimal(summary.brier)}</td>
+          <td>${decimal(summary.logLoss)}</td>
+          <td class="${summary.roi >= 0 ? 'is-positive' : 'is-negative'}">${signedPercent(summary.roi)}</td>
+        </tr>`
+        )
+        .join('')}
+    </tbody>
+  </table>
+`;
+
+// Reliability diagram: predicted probability (x) against observed frequency (y)
+const renderCalibrationChart = (buckets) => {
+  const plot = CHART_SIZE - CHART_PADDING * 2;
+  const x = (value) => CHART_PADDING + value * plot;
+  const y = (value) => CHART_SIZE - CHART_PADDING - value * plot;
+  const maxCount = Math.max(...buckets.map((bucket) => bucket.count));
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+
+  const points = buckets.map(
+    (bucket) => `
+      <circle class="calibration-point" cx="${x(bucket.predicted)}" cy="${y(bucket.observed)}"
+        r="${4 + 6 * Math.sqrt(bucket.count / maxCount)}">
+        <title>${t('trackRecord.chartPoint', {
+          predicted: percent(bucket.predicted),
+          observed: percent(bucket.observed),
+          count: bucket.count,
+        })}</title>
+      </circle>`
+  );
+
+  const line = buckets.map((bucket) => `${x(bucket.predicted)},${y(bucket.observed)}`).join(' ');
+
+  return `
+    <figure class="calibration-chart">
+      <svg viewBox="0 0 ${CHART_SIZE} ${CHART_SIZE}" role="img"
+        aria-label="${t('trackRecord.chartLabel')}">
+        ${ticks
+          .map(
+            (tick) => `
+          <line class="calibration-grid" x1="${x(0)}" y1="${y(tick)}" x2="${x(1)}" y2="${y(tick)}" />
+          <text class="calibration-tick" x="${x(0) - 8}" y="${y(tick) + 4}" text-anchor="end">${percent(tick)}</text>
+          <text class="calibration-tick" x="${x(tick)}" y="${y(0) + 18}" text-anchor="middle">${percent(tick)}</text>`
+          )
+          .join('')}
+        <line class="calibration-ideal" x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" />
+        <polyline class="calibration-line" points="${line}" />
+        ${points.join('')}
+      </svg>
+      <figcaption>${t('trackRecord.chartCaption')}</figcaption>
+    </figure>
+  `;
+};
+
+/**
+ * Render the track record into a container, re-rendering when the locale changes.
+ * @param {HTMLElement} container
+ * @param {{ onRender?: (counters: HTMLElement[]) => void, signal?: AbortSignal }} [options]
+ *   Called with the counter elements after every render so they can be animated
+ * @returns {Promise<HTMLElement[]>} The initially rendered counters
+ */
+export const initTrackRecord = async (container, { onRender = () => {}, signal } = {}) => {
+  const { leagues, predictions } = await loadTrackRecord();
+  const summary = summarize(predictions);
+  const leagueGroups = byLeague(predictions);
+  const monthGroups = byMonth(predictions);
+  const buckets = calibration(predictions);
+
+  const render = () => {
+    const leagueRows = leagueGroups.map(({ key, summary: group }) => ({
+      label: leagues[key] || key,
+      summary: group,
+    }));
+    const monthRows = monthGroups.map(({ key, summary: group }) => ({
+      label: formatDate(`${key}-01T00:00:00`, { month: 'short', year: 'numeric' }),
+      summary: group,
+    }));
+
+    container.innerHTML = `
+      ${renderStats(summary)}
+      <div class="track-breakdowns">
+        ${renderTable(t('trackRecord.byLeague'), t('trackRecord.league'), leagueRows)}
+        ${renderTable(t('trackRecord.byMonth'), t('trackRecord.month'), monthRows)}
+      </div>
+      ${renderCalibrationChart(buckets)}
+    `;
+
+    const counters = [...container.querySelectorAll('.counter')];
+    onRender(counters);
+    return counters;
+  };
+
+  document.addEventListener('localechange', render, { signal });
+  return render();
+};
@@ -0,0 +1,114 @@
+/**
+ * Web Vitals Overlay
+ *
+ * A development-only panel with the live Core Web Vitals, long tasks and
+ * lazy-image counts from webVitals.js, colour-coded by rating. Click the
+ * title to collapse it. Its styles live here rather than in src/styles so
+ * none of it reaches production.
+ */
+
+import { getReport, onReport } from '../utils/webVitals.js';
+
+const METRICS = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'];
+const REFRESH_INTERVAL = 1000;
+
+const COLORS = {
+  good: '#16a34a',
+  'needs-improvement': '#d97706',
+  poor: '#dc2626',
+};
+
+const STYLES = `
+  .vitals-overlay {
+    position: fixed;
+    left: 1rem;
+    bottom: 1rem;
+    z-index: 10000;
+    min-width: 14rem;
+    padding: 0.5rem 0.75rem;
+    border-radius: 0.5rem;
+    background: rgba(15, 23, 42, 0.9);
+    color: #f8fafc;
+    font: 12px/1.5 ui-monospace, monospace;
+  }
+  .vitals-overlay button {
+    all: unset;
+    cursor: pointer;
+    font-weight: 700;
+  }
+  .vitals-overlay.collapsed dl {
+    display: none;
+  }
+  .vitals-overlay dl {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 0 0.75rem;
+    margin: 0.25rem 0 0;
+  }
+  .vitals-overlay dd {
+    margin: 0;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    max-width: 18rem;
+  }
+`;
+
+const formatValue = (name, { value }) => (name === 'CLS' ? value.toFixed(3) : `${value} ms`);
+
+const renderMetric = (name, metric) => {
+  if (!metric) {
+    return `<dt>${name}</dt><dd>–</dd>`;
+  }
+
+  const target = metric.attribution?.element || metric.attribution?.eventType || '';
+  return `
+    <dt style="color: ${COLORS[metric.rating]}">${name}</dt>
+    <dd title="${target}">${formatValue(name, metric)} ${target}</dd>
+  `;
+};
+
+const renderReport = ({ metrics, longTasks, context }) => {
+  const { hits, misses, failures } = context.lazyImages;
+
+  return `
+    ${METRICS.map((name) => renderMetric(name, metrics[name])).join('')}
+    <dt>Long tasks</dt><dd>${longTasks.count} (${longTasks.totalDuration} ms)</dd>
+    <dt>Images</dt><dd>${hits} hit / ${misses} miss / ${failures} failed</dd>
+  `;
+};
+
+/**
+ * @param {{ signal?: AbortSignal }} [options] aborting removes the overlay
+ */
+export const initVitalsOverlay = ({ signal } = {}) => {
+  const style = document.createElement('style');
+  style.textContent = STYLES;
+
+  const overlay = document.createElement('aside');
+  overlay.className = 'vitals-overlay';
+  overlay.innerHTML = '<button type="button">Web Vitals</button><dl></dl>';
+
+  const list = overlay.querySelector('dl');
+  overlay.querySelector('button').addEventListener('click', () => {
+    overlay.classList.toggle('collapsed');
+  });
+
+  document.head.append(style);
+  document.body.append(overlay);
+
+  const render = (report) => {
+    list.innerHTML = renderReport(report);
+  };
+
+  const unsubscribe = onReport(render);
+  // Image counts change without a new metric value
+  const timer = setInterval(() => render(getReport()), REFRESH_INTERVAL);
+
+  signal?.addEventListener('abort', () => {
+    unsubscribe();
+    clearInterval(timer);
+    style.remove();
+    overlay.remove();
+  });
+};
@@ -0,0 +1,408 @@
+/**
+ * Content Rendering
+ *
+ * Build-time only (used by contentPlugin in vite.config.js, never bundled).
+ * Renders the parts of index.html that marketing edits from the files next
+ * to this one:
+ * - `features/*.md` one feature card each: front matter (`key`, `icon`,
+ *   `title`, `order`, optional `bettingCopy`) and the description, in
+ *   Markdown limited to inline `**bold**`, `*italic*` and `[links](#anchor)`
+ * - `footer.json`   brand and social links, link columns, contact details
+ *   and the copyright line
+ * - `testimonials.json` the reviews, rendered as a plain list that the
+ *   carousel (src/components/testimonials.js) replaces once it runs; it reads
+ *   ratings, avatars and dates from the same file
+ *
+ * index.html marks where each goes with a `<!-- content:name -->` comment.
+ * Text may use computed values in the i18n catalogs' `{name}` syntax (only
+ * `{year}` so far). Every file is checked against its schema below, and every
+ * `href="#…"` in the rendered page must match an element id.
+ *
+ * These files are the source of the English copy. Text rendered with a
+ * `data-i18n` key is also written into the English catalog (see
+ * `contentMessages()`), so translating the page shows the same words and a
+ * new key falls back to English in the other locales. A description with
+ * Markdown markup gets no key, since a translation would flatten it.
+ */
+
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+export const CONTENT_DIR = fileURLToPath(new URL('.', import.meta.url));
+
+const PROJECT_ROOT = join(CONTENT_DIR, '../..');
+
+const CONTENT = {
+  features: {
+    source: 'features',
+    schema: {
+      key: 'string',
+      icon: 'string',
+      title: 'string',
+      order: 'number',
+      'bettingCopy?': 'string',
+      body: 'string',
+    },
+  },
+  footer: {
+    source: 'footer.json',
+    schema: {
+      brand: {
+        name: 'string',
+        icon: 'string',
+        tagline: 'string',
+        social: [{ label: 'string', icon: 'string', href: 'string' }],
+      },
+      columns: [
+        {
+          'i18n?': 'string',
+          title: 'string',
+          links: [{ 'i18n?': 'string', label: 'string', href: 'string' }],
+          'actions?': [{ 'i18n?': 'string', label: 'string', action: 'string' }],
+        },
+      ],
+      contact: {
+        'i18n?': 'string',
+        title: 'string',
+        details: [{ icon: 'string', text: 'string' }],
+      },
+      copyright: 'string',
+    },
+  },
+  testimonials: {
+    source: 'testimonials.json',
+    schema: {
+      product: { name: 'string', description: 'string' },
+      testimonials: [
+        {
+          key: 'string',
+          name: 'string',
+          role: 'string',
+          avatar: 'string',
+          rating: 'number',
+          date: 'string',
+          text: 'string',
+        },
+      ],
+    },
+  },
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const attr = (name, value) => (value == null ? '' : ` ${name}="${escapeHtml(value)}"`);
+
+const plainText = (markdown) => markdown.trim().replace(/\s*\n\s*/g, ' ');
+
+const renderInlineMarkdown = (markdown) =>
+  escapeHtml(plainText(markdown))
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+// A flat `key: value` block is all the cards need, so no YAML parser
+const parseFrontMatter = (source) => {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error('missing front matter');
+  }
+
+  const data = {};
+  match[1]
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .forEach((line) => {
+      const [, key, raw] = line.match(/^(\w+):\s*(.*)$/) || [];
+      if (!key) {
+        throw new Error(`unreadable front matter line "${line}"`);
+      }
+      const value = raw.trim().replace(/^(['"])(.*)\1$/, '$2');
+      data[key] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    });
+
+  return { ...data, body: match[2].trim() };
+};
+
+// Collects every problem rather than stopping at the first
+const validate = (value, schema, path, errors) => {
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value) || !value.length) {
+      errors.push(`${path} must be a non-empty list`);
+      return;
+    }
+    value.forEach((item, index) => validate(item, schema[0], `${path}[${index}]`, errors));
+    return;
+  }
+  if (typeof schema === 'string') {
+    if (typeof value !== schema) {
+      errors.push(`${path} must be a ${schema}`);
+    }
+    return;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path || 'content'} must be an object`);
+    return;
+  }
+
+  const fields = new Set();
+  Object.entries(schema).forEach(([field, fieldSchema]) => {
+    const name = field.replace(/\?$/, '');
+    const fieldPath = path ? `${path}.${name}` : name;
+    fields.add(name);
+
+    if (value[name] != null && value[name] !== '') {
+      validate(value[name], fieldSchema, fieldPath, errors);
+    } else if (!field.endsWith('?')) {
+      errors.push(`${fieldPath} is missing`);
+    }
+  });
+  Object.keys(value)
+    .filter((name) => !fields.has(name))
+    .forEach((name) => errors.push(`${path ? `${path}.` : ''}${name} is not a known field`));
+};
+
+const fillComputed = (value, computed) => {
+  if (typeof value === 'string') {
+    return value.replace(/\{(\w+)\}/g, (token, name) => computed[name] ?? token);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillComputed(item, computed));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillComputed(item, computed)])
+    );
+  }
+  return value;
+};
+
+// A directory yields one entry per file, a file a single entry
+const loadSource = (dir, source) => {
+  const path = join(dir, source);
+  const files = statSync(path).isDirectory()
+    ? readdirSync(path)
+        .filter((file) => /\.(md|json)$/.test(file))
+        .sort()
+        .map((file) => join(path, file))
+    : [path];
+
+  return files.map((file) => {
+    const name = relative(PROJECT_ROOT, file);
+    const text = readFileSync(file, 'utf-8');
+    try {
+      return { name, data: file.endsWith('.md') ? parseFrontMatter(text) : JSON.parse(text) };
+    } catch (error) {
+      return { name, error: error.message };
+    }
+  });
+};
+
+const hasMarkup = (markdown) => renderInlineMarkdown(markdown) !== escapeHtml(plainText(markdown));
+
+const renderFeatureCard = ({ key, icon, title, bettingCopy, body }) => `
+                <div class="feature-card">
+                    <div class="feature-icon">
+                        <i class="fas fa-${escapeHtml(icon)}"></i>
+                    </div>
+                    <h3${attr('data-i18n', `features.${key}.title`)}>${escapeHtml(title)}</h3>
+                    <p${attr('data-i18n', hasMarkup(body) ? null : `features.${key}.text`)}${attr('data-betting-copy', bettingCopy)}>${renderInlineMarkdown(body)}</p>
+                </div>`;
+
+const renderFooterLink = ({ i18n, label, href }) => `
+                <a${attr('href', href)}${attr('data-i18n', i18n)}>${escapeHtml(label)}</a>`;
+
+// Actions are handled in the page, e.g. `consent-settings` → [data-consent-settings]
+const renderFooterAction = ({ i18n, label, action }) => `
+                <button type="button" class="footer-link" data-${escapeHtml(action)}${attr('data-i18n', i18n)}>${escapeHtml(label)}</button>`;
+
+const renderFooterColumn = ({ i18n, title, links, actions = [] }) => `
+            <div class="footer-section">
+                <h3${attr('data-i18n', i18n)}>${escapeHtml(title)}</h3>${links.map(renderFooterLink).join('')}${actions.map(renderFooterAction).join('')}
+            </div>`;
+
+const renderSocialLink = ({ label, icon, href }) => `
+                    <a${attr('href', href)}${attr('aria-label', label)}><i class="fab fa-${escapeHtml(icon)}"></i></a>`;
+
+const renderContactDetail = ({ icon, text }) => `
+                <p><i class="fas fa-${escapeHtml(icon)}"></i> ${escapeHtml(text)}</p>`;
+
+// The copyright keeps its computed values as i18n params, so translations fill them in too
+const renderFooter = ({ brand, columns, contact, copyright }, computed) => `
+        <div class="footer-content">
+            <div class="footer-section">
+                <h3><i class="fas fa-${escapeHtml(brand.icon)}"></i> ${escapeHtml(brand.name)}</h3>
+                <p data-i18n="footer.tagline" data-betting-copy="neutral">${escapeHtml(brand.tagline)}</p>
+                <div class="social-links">${brand.social.map(renderSocialLink).join('')}
+                </div>
+            </div>
+${columns.map(renderFooterColumn).join('\n')}
+
+            <div class="footer-section">
+                <h3${attr('data-i18n', contact.i18n)}>${escapeHtml(contact.title)}</h3>${contact.details.map(renderContactDetail).join('')}
+            </div>
+        </div>
+
+        <div class="footer-bottom">
+            <div class="responsible-gambling" role="note" data-responsible-gambling></div>
+            <p data-i18n="footer.copyright" data-i18n-params='${JSON.stringify(computed)}'>${escapeHtml(copyright)}</p>
+        </div>`;
+
+const renderTestimonial = ({ key, name, role, text }) => `
+                    <figure class="testimonial">
+                        <blockquote class="testimonial-text"${attr('data-i18n', `testimonials.reviews.${key}.text`)}>${escapeHtml(text)}</blockquote>
+                        <figcaption class="testimonial-author">
+                            <div class="author-info">
+                                <h4>${escapeHtml(name)}</h4>
+                                <p${attr('data-i18n', `testimonials.reviews.${key}.role`)}>${escapeHtml(role)}</p>
+                            </div>
+                        </figcaption>
+                    </figure>`;
+
+const renderTestimonials = ({ testimonials }) => `
+                <div class="testimonials-list">${testimonials.map(renderTestimonial).join('')}
+                </div>`;
+
+const RENDERERS = {
+  features: (cards) =>
+    [...cards]
+      .sort((a, b) => a.order - b.order)
+      .map(renderFeatureCard)
+      .join('\n'),
+  footer: ([footer], computed) => renderFooter(footer, computed),
+  testimonials: ([testimonials]) => renderTestimonials(testimonials),
+};
+
+// Every section's entries, after checking them all against their schemas
+const loadContent = (dir) => {
+  const errors = [];
+  const content = {};
+
+  Object.entries(CONTENT).forEach(([section, { source, schema }]) => {
+    content[section] = loadSource(dir, source).map(({ name, data, error }) => {
+      const problems = error ? [error] : [];
+      if (!error) {
+        validate(data, schema, '', problems);
+      }
+      errors.push(...problems.map((problem) => `${name}: ${problem}`));
+      return data;
+    });
+  });
+
+  if (errors.length) {
+    throw new Error(`Invalid content:\n  ${errors.join('\n  ')}`);
+  }
+  return content;
+};
+
+/**
+ * Load, validate and render every section.
+ * @param {{ dir?: string }} [options] The content directory, by default this one
+ * @returns {Record<string, string>} HTML by section name
+ * @throws {Error} Listing every problem, file by file
+ */
+export const renderContent = ({ dir = CONTENT_DIR } = {}) => {
+  const computed = { year: String(new Date().getFullYear()) };
+  return Object.fromEntries(
+    Object.entries(loadContent(dir)).map(([section, entries]) => [
+      section,
+      RENDERERS[section](fillComputed(entries, computed), computed),
+    ])
+  );
+};
+
+const setMessage = (messages, key, message) => {
+  if (!key) {
+    return;
+  }
+  const parts = key.split('.');
+  const last = parts.pop();
+  const node = parts.reduce((parent, part) => {
+    parent[part] ??= {};
+    return parent[part];
+  }, messages);
+  node[last] = message;
+};
+
+// English for every `data-i18n` key the content renders; `{year}` stays a param
+const contentMessages = (dir) => {
+  const { features, footer, testimonials } = loadContent(dir);
+  const [{ brand, columns, contact, copyright }] = footer;
+  const messages = {};
+
+  features.forEach(({ key, title, body }) => {
+    setMessage(messages, `features.${key}.title`, title);
+    if (!hasMarkup(body)) {
+      setMessage(messages, `features.${key}.text`, plainText(body));
+    }
+  });
+
+  setMessage(messages, 'footer.tagline', brand.tagline);
+  columns.forEach(({ i18n, title, links, actions = [] }) => {
+    setMessage(messages, i18n, title);
+    [...links, ...actions].forEach((item) => setMessage(messages, item.i18n, item.label));
+  });
+  setMessage(messages, contact.i18n, contact.title);
+  setMessage(messages, 'footer.copyright', copyright);
+
+  testimonials[0].testimonials.forEach(({ key, role, text }) => {
+    setMessage(messages, `testimonials.reviews.${key}.text`, text);
+    setMessage(messages, `testimonials.reviews.${key}.role`, role);
+  });
+
+  return messages;
+};
+
+const mergeMessages = (catalog, messages) =>
+  Object.entries(messages).reduce(
+    (merged, [key, message]) => ({
+      ...merged,
+      [key]:
+        typeof message === 'object' && typeof merged[key] === 'object'
+          ? mergeMessages(merged[key], message)
+          : message,
+    }),
+    catalog
+  );
+
+/**
+ * The English catalog with the content's copy in place of its own.
+ * @param {Record<string, unknown>} catalog The contents of en.json
+ * @param {{ dir?: string }} [options] The content directory, by default this one
+ * @returns {Record<string, unknown>}
+ * @throws {Error} On invalid content
+ */
+export const applyContentMessages = (catalog, { dir = CONTENT_DIR } = {}) =>
+  mergeMessages(catalog, contentMessages(dir));
+
+const findBrokenAnchors = (html) => {
+  const ids = new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(([, id]) => id));
+  const anchors = new Set([...html.matchAll(/\shref="#([^"]+)"/g)].map(([, id]) => id));
+  return [...anchors].filter((id) => !ids.has(decodeURIComponent(id)));
+};
+
+/**
+ * Replace each `<!-- content:name -->` marker in the page with its section.
+ * @param {string} html
+ * @param {{ dir?: string }} [options] The content directory, by default this one
+ * @returns {string}
+ * @throws {Error} On invalid content, an unknown marker or a broken anchor
+ */
+export const applyContent = (html, { dir = CONTENT_DIR } = {}) => {
+  const rendered = renderContent({ dir });
+  // The templates start on a new line with their own indentation
+  const output = html.replace(/[ \t]*<!-- content:(\w+) -->/g, (marker, section) => {
+    if (!(section in rendered)) {
+      throw new Error(`index.html: no content named "${section}"`);
+    }
+    return rendered[section].replace(/^\n/, '');
+  });
+
+  const broken = findBrokenAnchors(output);
+  if (broken.length) {
+    throw new Error(`Broken anchors in index.html: ${broken.map((id) => `#${id}`).join(', ')}`);
+  }
+  return output;
+};
@@ -0,0 +1,197 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import { applyContent, applyContentMessages, renderContent } from './render.js';
+
+const FOOTER = {
+  brand: {
+    name: 'Football Predictor',
+    icon: 'futbol',
+    tagline: 'Predictions you can check.',
+    social: [{ label: 'Twitter', icon: 'twitter', href: '#' }],
+  },
+  columns: [
+    {
+      i18n: 'footer.quickLinks',
+      title: 'Quick Links',
+      links: [{ i18n: 'footer.features', label: 'Features', href: '#features' }],
+      actions: [{ i18n: 'footer.cookies', label: 'Cookie settings', action: 'consent-settings' }],
+    },
+  ],
+  contact: {
+    i18n: 'footer.contact',
+    title: 'Contact',
+    details: [{ icon: 'envelope', text: 'hello@example.com' }],
+  },
+  copyright: '© {year} Football Predictor',
+};
+
+const TESTIMONIALS = {
+  product: { name: 'Football Predictor', description: 'Football predictions.' },
+  testimonials: [
+    {
+      key: 'ada',
+      name: 'Ada <Lovelace>',
+      role: 'Pro subscriber',
+      avatar: 'https://images.example.com/ada',
+      rating: 4.5,
+      date: '2026-09-01',
+      text: 'Honest numbers & no hype.',
+    },
+  ],
+};
+
+const FEATURES = {
+  'stats.md': `---
+key: stats
+icon: chart-line
+title: Real-Time Statistics
+order: 2
+---
+
+Live numbers for every match.
+`,
+  'ai.md': `---
+key: ai
+icon: brain
+title: AI Predictions
+order: 1
+bettingCopy: neutral
+---
+
+Read the **model notes** in the [FAQ](#faq).
+`,
+};
+
+const PAGE = `<section id="features"><!-- content:features --></section>
+<section id="faq"></section>
+<div data-testimonials><!-- content:testimonials --></div>
+<footer><!-- content:footer --></footer>`;
+
+let dir;
+
+const write = (file, content) => {
+  writeFileSync(join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+};
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'content-'));
+  mkdirSync(join(dir, 'features'));
+  Object.entries(FEATURES).forEach(([file, source]) => write(join('features', file), source));
+  write('footer.json', FOOTER);
+  write('testimonials.json', TESTIMONIALS);
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('renderContent', () => {
+  it('renders the feature cards in order, keying only plain descriptions', () => {
+    const { features } = renderContent({ dir });
+
+    expect(features.indexOf('AI Predictions')).toBeLessThan(
+      features.indexOf('Real-Time Statistics')
+    );
+    expect(features).toContain('<h3 data-i18n="features.ai.title">AI Predictions</h3>');
+    expect(features).toContain(
+      '<p data-betting-copy="neutral">Read the <strong>model notes</strong> in the <a href="#faq">FAQ</a>.</p>'
+    );
+    expect(features).toContain(
+      '<p data-i18n="features.stats.text">Live numbers for every match.</p>'
+    );
+  });
+
+  it('renders the footer with the year filled in', () => {
+    const { footer } = renderContent({ dir });
+    const year = new Date().getFullYear();
+
+    expect(footer).toContain('<a href="#features" data-i18n="footer.features">Features</a>');
+    expect(footer).toContain(
+      'data-consent-settings data-i18n="footer.cookies">Cookie settings</button>'
+    );
+    expect(footer).toContain(
+      `data-i18n-params='{"year":"${year}"}'>© ${year} Football Predictor</p>`
+    );
+  });
+
+  it('renders the testimonials as an escaped, translatable list', () => {
+    const { testimonials } = renderContent({ dir });
+
+    expect(testimonials).toContain(
+      '<blockquote class="testimonial-text" data-i18n="testimonials.reviews.ada.text">Honest numbers &amp; no hype.</blockquote>'
+    );
+    expect(testimonials).toContain('<h4>Ada &lt;Lovelace&gt;</h4>');
+    expect(testimonials).toContain(
+      '<p data-i18n="testimonials.reviews.ada.role">Pro subscriber</p>'
+    );
+  });
+
+  it('lists every problem in every file', () => {
+    write('testimonials.json', { ...TESTIMONIALS, testimonials: [{ key: 'ada', rating: '5' }] });
+    write(join('features', 'stats.md'), 'no front matter');
+
+    let message;
+    try {
+      renderContent({ dir });
+    } catch (error) {
+      ({ message } = error);
+    }
+
+    expect(message).toContain('features/stats.md: missing front matter');
+    expect(message).toContain('testimonials.json: testimonials[0].name is missing');
+    expect(message).toContain('testimonials.json: testimonials[0].rating must be a number');
+  });
+});
+
+describe('applyContent', () => {
+  it('replaces every marker with its section', () => {
+    const html = applyContent(PAGE, { dir });
+
+    expect(html).not.toContain('<!-- content:');
+    expect(html).toContain('class="feature-card"');
+    expect(html).toContain('class="testimonials-list"');
+    expect(html).toContain('class="footer-content"');
+  });
+
+  it('rejects unknown markers and broken anchors', () => {
+    expect(() => applyContent('<!-- content:gallery -->', { dir })).toThrow(
+      'no content named "gallery"'
+    );
+    expect(() => applyContent(PAGE.replace('<section id="faq"></section>', ''), { dir })).toThrow(
+      'Broken anchors in index.html: #faq'
+    );
+  });
+});
+
+describe('applyContentMessages', () => {
+  it('patches the content copy into the catalog, keeping the rest', () => {
+    const catalog = {
+      features: { title: 'Features', ai: { title: 'Old title' } },
+      footer: { tagline: 'Old tagline', newsletter: 'Newsletter' },
+    };
+
+    const patched = applyContentMessages(catalog, { dir });
+
+    expect(patched.features).toEqual({
+      title: 'Features',
+      ai: { title: 'AI Predictions' },
+      stats: { title: 'Real-Time Statistics', text: 'Live numbers for every match.' },
+    });
+    expect(patched.footer).toMatchObject({
+      tagline: 'Predictions you can check.',
+      newsletter: 'Newsletter',
+      features: 'Features',
+      cookies: 'Cookie settings',
+      copyright: '© {year} Football Predictor',
+    });
+    expect(patched.testimonials.reviews.ada).toEqual({
+      text: 'Honest numbers & no hype.',
+      role: 'Pro subscriber',
+    });
+    expect(catalog.features.ai.title).toBe('Old title');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Analytics
+ *
+ * CTA clicks, the first view of each section and scroll depth; queued events
+ * are sent when the page is hidden.
+ */
+
+import {
+  flushOnPageHide,
+  sectionOf,
+  track,
+  trackScrollDepth,
+  trackSectionViews,
+} from '../utils/analytics.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  document.addEventListener(
+    'click',
+    (e) => {
+      const cta = e.target.closest('.cta-button, .btn-primary, .pricing-cta');
+
+      if (cta) {
+        track('cta_click', {
+          label: cta.textContent.trim() || cta.getAttribute('aria-label'),
+          section: sectionOf(cta),
+          href: cta.getAttribute('href'),
+        });
+      }
+    },
+    { signal }
+  );
+
+  flushOnPageHide({ signal });
+
+  const stopSectionViews = trackSectionViews(root.querySelectorAll('section[id]'));
+  const stopScrollDepth = trackScrollDepth();
+
+  return () => {
+    stopSectionViews();
+    stopScrollDepth();
+  };
+});
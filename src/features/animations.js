@@ -0,0 +1,67 @@
+/**
+ * Animate on Scroll
+ *
+ * Adds `animate-in` to cards and `.fade-in`-style elements as they scroll into
+ * view. Components rendered later hand their elements to `observeAnimation()`.
+ * Elements still waiting are kept, so switching to reduced motion can show
+ * them at once.
+ */
+
+import { prefersReducedMotion } from '../utils/motion.js';
+
+import { defineFeature } from './feature.js';
+
+const ANIMATED_SELECTOR =
+  '.fade-in, .slide-up, .slide-left, .slide-right, .scale-in, .feature-card, .pricing-card';
+
+const pendingAnimations = new Set();
+let animateObserver = null;
+
+const showAnimated = (el) => {
+  el.classList.add('animate-in');
+  pendingAnimations.delete(el);
+  animateObserver?.unobserve(el);
+};
+
+/**
+ * Animate an element when it scrolls into view (at once with reduced motion).
+ * @param {Element} el
+ */
+export const observeAnimation = (el) => {
+  if (!animateObserver || prefersReducedMotion()) {
+    showAnimated(el);
+  } else {
+    pendingAnimations.add(el);
+    animateObserver.observe(el);
+  }
+};
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  animateObserver = new IntersectionObserver(
+    (entries) => {
+      entries.filter((entry) => entry.isIntersecting).forEach((entry) => showAnimated(entry.target));
+    },
+    {
+      threshold: 0.1,
+      rootMargin: '0px 0px -50px 0px',
+    }
+  );
+
+  document.addEventListener(
+    'motionchange',
+    (e) => {
+      if (e.detail.reduced) {
+        pendingAnimations.forEach(showAnimated);
+      }
+    },
+    { signal }
+  );
+
+  root.querySelectorAll(ANIMATED_SELECTOR).forEach(observeAnimation);
+
+  return () => {
+    animateObserver.disconnect();
+    animateObserver = null;
+    pendingAnimations.clear();
+  };
+});
@@ -0,0 +1,28 @@
+/**
+ * Back to Top
+ *
+ * `.back-to-top` appears after 300px of scrolling and returns to the top.
+ */
+
+import { scrollBehavior } from '../utils/motion.js';
+import { onScroll } from '../utils/scrollManager.js';
+
+import { defineFeature } from './feature.js';
+
+const VISIBLE_AFTER = 300;
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const button = root.querySelector('.back-to-top');
+
+  if (!button) {
+    return;
+  }
+
+  button.addEventListener(
+    'click',
+    () => window.scrollTo({ top: 0, behavior: scrollBehavior() }),
+    { signal }
+  );
+
+  return onScroll(({ y }) => button.classList.toggle('visible', y > VISIBLE_AFTER));
+});
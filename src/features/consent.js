@@ -0,0 +1,17 @@
+/**
+ * Cookie Consent
+ *
+ * Shows the consent banner and swaps in third-party resources once their
+ * category is consented to. Analytics and the service worker wait for it too.
+ */
+
+import { initConsentBanner } from '../components/consentBanner.js';
+import { loadConsentedResources } from '../utils/consent.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  initConsentBanner({ signal });
+  loadConsentedResources(root);
+  document.addEventListener('consentchange', () => loadConsentedResources(root), { signal });
+});
@@ -0,0 +1,47 @@
+/**
+ * Counters
+ *
+ * `.counter` elements count up once scrolled into view (data attributes in
+ * src/utils/counter.js). Counters rendered later go through `observeCounter()`.
+ */
+
+import { counterFor } from '../utils/counter.js';
+
+import { defineFeature } from './feature.js';
+
+let counterObserver = null;
+
+/**
+ * Reset a counter and start it once it is half in view.
+ * @param {HTMLElement} counter
+ */
+export const observeCounter = (counter) => {
+  counterFor(counter).reset();
+
+  if (counterObserver) {
+    counterObserver.observe(counter);
+  } else {
+    counterFor(counter).start();
+  }
+};
+
+export const { init, destroy } = defineFeature((root) => {
+  counterObserver = new IntersectionObserver(
+    (entries) => {
+      entries
+        .filter((entry) => entry.isIntersecting)
+        .forEach((entry) => {
+          counterFor(entry.target).start();
+          counterObserver.unobserve(entry.target);
+        });
+    },
+    { threshold: 0.5 }
+  );
+
+  root.querySelectorAll('.counter').forEach(observeCounter);
+
+  return () => {
+    counterObserver.disconnect();
+    counterObserver = null;
+  };
+});
@@ -0,0 +1,12 @@
+/**
+ * Error Reporting
+ *
+ * Global error capture and breadcrumbs (see src/utils/errorReporter.js).
+ * Started before every other feature so failures while they start are caught.
+ */
+
+import { initErrorReporter } from '../utils/errorReporter.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature(() => initErrorReporter());
@@ -0,0 +1,30 @@
+/**
+ * Experiments
+ *
+ * Applies the hero A/B variants and reports exposures once analytics consent
+ * is given, when the visitor ID starts being stored too. Runs before i18n, so
+ * translation picks up the variants' keys.
+ */
+
+import { track } from '../utils/analytics.js';
+import { whenConsented } from '../utils/consent.js';
+import { onExposure, runExperiments, syncVisitorId } from '../utils/experiments.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  runExperiments(root);
+  document.addEventListener('consentchange', syncVisitorId, { signal });
+
+  // Exposures are replayed to late listeners, so visitors who consent later are still counted
+  let unsubscribe = null;
+  whenConsented('analytics').then(() => {
+    if (!signal.aborted) {
+      unsubscribe = onExposure(({ experiment, variant, forced }) =>
+        track('experiment_exposure', { experiment, variant, forced })
+      );
+    }
+  });
+
+  return () => unsubscribe?.();
+});
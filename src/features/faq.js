@@ -0,0 +1,22 @@
+/**
+ * FAQ
+ *
+ * Searchable accordion; `#faq-<id>` links open an answer.
+ */
+
+import { initFaq } from '../components/faq.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { observeAnimation } from './animations.js';
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const faqRoot = root.querySelector('[data-faq]');
+
+  if (faqRoot) {
+    initFaq(faqRoot, {
+      onRender: (items) => items.forEach(observeAnimation),
+      signal,
+    }).catch((error) => captureError(error, 'Failed to load FAQ'));
+  }
+});
@@ -0,0 +1,43 @@
+/**
+ * Feature Lifecycle
+ *
+ * Every module in src/features wires up one feature of the page and exports
+ * `init(root)` / `destroy()`, made with `defineFeature()`:
+ *
+ *   export const { init, destroy } = defineFeature((root, signal) => {
+ *     root.addEventListener('click', onClick, { signal });
+ *     return () => observer.disconnect();
+ *   });
+ *
+ * `setup` gets the root to query (the document by default) and a signal that
+ * is aborted on `destroy()`, so listeners added with `{ signal }` go away on
+ * their own. It can return a cleanup function for anything else: observers,
+ * timers, subscriptions. Calling `init()` again destroys the previous run
+ * first. Pass the signal on to components (`initX(el, { signal })`): they
+ * remove their listeners and any elements they appended (dialogs, the mobile
+ * menu) when it aborts. Markup rendered into existing containers stays.
+ */
+
+/**
+ * @param {(root: ParentNode, signal: AbortSignal) => (() => void) | void} setup
+ * @returns {{ init: (root?: ParentNode) => void, destroy: () => void }}
+ */
+export const defineFeature = (setup) => {
+  let controller = null;
+  let cleanup = null;
+
+  const destroy = () => {
+    controller?.abort();
+    cleanup?.();
+    controller = null;
+    cleanup = null;
+  };
+
+  const init = (root = document) => {
+    destroy();
+    controller = new AbortController();
+    cleanup = setup(root, controller.signal) || null;
+  };
+
+  return { init, destroy };
+};
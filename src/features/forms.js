@@ -0,0 +1,139 @@
+/**
+ * Forms
+ *
+ * Every form is validated before it is sent (src/utils/validation.js) and
+ * submitted as JSON (src/utils/formSubmit.js) with the visitor's age
+ * confirmation. Server field errors go next to the inputs; other failures
+ * offer a retry. Each step of the funnel is tracked.
+ */
+
+import { t } from '../i18n/index.js';
+import { getAgeAcknowledgement } from '../utils/ageGate.js';
+import { sectionOf, track } from '../utils/analytics.js';
+import { captureError } from '../utils/errorReporter.js';
+import { applyFieldErrors } from '../utils/fieldErrors.js';
+import { FormSubmissionError, serializeForm, submitForm } from '../utils/formSubmit.js';
+import { createFormValidator } from '../utils/validation.js';
+
+import { defineFeature } from './feature.js';
+import { showNotification } from './notifications.js';
+
+const BUTTON_RESET_DELAY = 3000;
+
+const showSuccess = (form, submitBtn, originalText) => {
+  submitBtn.textContent = t('form.success');
+  submitBtn.classList.add('success');
+  form.reset();
+  showNotification(t('form.thanks'), 'success');
+
+  setTimeout(() => {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+    submitBtn.classList.remove('success');
+  }, BUTTON_RESET_DELAY);
+};
+
+const showFailure = (form, submitBtn, originalText, error) => {
+  // Field-level errors from the server go next to the inputs
+  const firstInvalid =
+    error instanceof FormSubmissionError ? applyFieldErrors(form, error.fieldErrors) : null;
+
+  if (firstInvalid) {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+    firstInvalid.focus();
+    showNotification(t('form.checkFields'), 'error');
+    return;
+  }
+
+  captureError(error, 'Form submission failed');
+  submitBtn.textContent = t('form.retry');
+  submitBtn.classList.add('error');
+
+  const restoreButton = () => {
+    submitBtn.textContent = originalText;
+    submitBtn.disabled = false;
+    submitBtn.classList.remove('error');
+  };
+  const restoreTimer = setTimeout(restoreButton, BUTTON_RESET_DELAY);
+
+  showNotification(t('form.failed'), 'error', {
+    action: {
+      label: t('notifications.retry'),
+      onClick: () => {
+        clearTimeout(restoreTimer);
+        restoreButton();
+        form.requestSubmit();
+      },
+    },
+  });
+};
+
+const bindForm = (form, signal) => {
+  const validator = createFormValidator(form);
+  signal.addEventListener('abort', validator.destroy);
+  const formName = form.getAttribute('name') || sectionOf(form) || 'form';
+  let started = false;
+
+  // The funnel starts with the first edit, not the first focus
+  form.addEventListener(
+    'input',
+    () => {
+      if (!started) {
+        started = true;
+        track('form_start', { form: formName });
+      }
+    },
+    { signal }
+  );
+
+  const submit = async () => {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const originalText = submitBtn.textContent;
+
+    // Block sending until every field passes validation
+    submitBtn.disabled = true;
+    const { valid, firstInvalid } = await validator.validateForm();
+
+    if (!valid) {
+      submitBtn.disabled = false;
+      firstInvalid.focus();
+      track('form_error', { form: formName, reason: 'validation', field: firstInvalid.name });
+      return;
+    }
+
+    track('form_submit', { form: formName });
+    submitBtn.textContent = t('form.sending');
+
+    try {
+      // The age confirmation travels with every submission as a record of what was agreed
+      await submitForm(form, {
+        data: { ...serializeForm(form), ageConfirmation: getAgeAcknowledgement() },
+      });
+
+      started = false;
+      track('form_success', { form: formName });
+      showSuccess(form, submitBtn, originalText);
+    } catch (error) {
+      track('form_error', {
+        form: formName,
+        reason: error instanceof FormSubmissionError && error.status ? 'server' : 'network',
+        status: error.status || null,
+      });
+      showFailure(form, submitBtn, originalText, error);
+    }
+  };
+
+  form.addEventListener(
+    'submit',
+    (e) => {
+      e.preventDefault();
+      submit();
+    },
+    { signal }
+  );
+};
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  root.querySelectorAll('form').forEach((form) => bindForm(form, signal));
+});
@@ -0,0 +1,34 @@
+/**
+ * Header Scroll Effect
+ *
+ * `scrolled` once the page leaves the top, and `scroll-up` / `scroll-down`
+ * classes for the fixed header.
+ */
+
+import { onScroll } from '../utils/scrollManager.js';
+
+import { defineFeature } from './feature.js';
+
+const SCROLL_DOWN_OFFSET = 100;
+
+export const { init, destroy } = defineFeature((root) => {
+  const header = root.querySelector('header');
+
+  if (!header) {
+    return;
+  }
+
+  return onScroll(({ y, direction }) => {
+    header.classList.toggle('scrolled', y > 0);
+
+    if (y <= 0) {
+      header.classList.remove('scroll-up', 'scroll-down');
+    } else if (direction === 'down' && y > SCROLL_DOWN_OFFSET) {
+      header.classList.remove('scroll-up');
+      header.classList.add('scroll-down');
+    } else if (direction === 'up') {
+      header.classList.remove('scroll-down');
+      header.classList.add('scroll-up');
+    }
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Internationalization
+ *
+ * Translates the page into the saved or browser language and renders the
+ * language switcher.
+ */
+
+import { renderLanguageSwitcher } from '../components/languageSwitcher.js';
+import { initI18n } from '../i18n/index.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  initI18n().catch((error) => captureError(error, 'Failed to load translations'));
+
+  const languageSwitcher = root.querySelector('[data-language-switcher]');
+
+  if (languageSwitcher) {
+    renderLanguageSwitcher(languageSwitcher, { signal });
+  }
+});
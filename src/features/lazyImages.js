@@ -0,0 +1,12 @@
+/**
+ * Lazy Images
+ *
+ * `data-src` / `data-srcset` / `data-bg` images, including ones rendered later
+ * (see src/utils/lazyImages.js).
+ */
+
+import { initLazyImages } from '../utils/lazyImages.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root) => initLazyImages({ root }));
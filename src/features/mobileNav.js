@@ -0,0 +1,18 @@
+/**
+ * Mobile Navigation
+ *
+ * Mirrors the header links into the mobile menu. Runs before smoothScroll so
+ * the mirrored links are bound too.
+ */
+
+import { initMobileNav } from '../components/mobileNav.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const mainNav = root.querySelector('header nav');
+
+  if (mainNav) {
+    initMobileNav(mainNav, { signal });
+  }
+});
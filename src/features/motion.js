@@ -0,0 +1,21 @@
+/**
+ * Motion
+ *
+ * Follows prefers-reduced-motion unless the visitor overrides it with the
+ * toggle in the footer.
+ */
+
+import { initMotionToggle } from '../components/motionToggle.js';
+import { initMotion } from '../utils/motion.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  initMotion({ signal });
+
+  const motionToggle = root.querySelector('[data-motion-toggle]');
+
+  if (motionToggle) {
+    initMotionToggle(motionToggle, { signal });
+  }
+});
@@ -0,0 +1,32 @@
+/**
+ * Notifications
+ *
+ * The page's one toast stack, shared by every feature through
+ * `showNotification()`. The stack is created on first use and kept for the
+ * life of the page.
+ */
+
+import { createNotificationManager } from '../components/notifications.js';
+
+import { defineFeature } from './feature.js';
+
+let manager = null;
+
+const getManager = () => {
+  manager ||= createNotificationManager();
+  return manager;
+};
+
+/**
+ * Show a toast (see createNotificationManager for the options).
+ * @param {string} message
+ * @param {string} [type] `info`, `success`, `warning` or `error`
+ * @param {object} [options]
+ * @returns {{ dismiss: Function }}
+ */
+export const showNotification = (message, type = 'info', options = {}) =>
+  getManager().notify(message, type, options);
+
+export const { init, destroy } = defineFeature(() => {
+  getManager();
+});
@@ -0,0 +1,17 @@
+/**
+ * Odds Calculator
+ *
+ * Converter, market margin and stake suggestions, shareable via the query string.
+ */
+
+import { initOddsCalculator } from '../components/oddsCalculator.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const calculator = root.querySelector('[data-odds-calculator]');
+
+  if (calculator) {
+    initOddsCalculator(calculator, { signal });
+  }
+});
@@ -0,0 +1,20 @@
+/**
+ * Live Match Predictions
+ */
+
+import { initPredictions } from '../components/predictions.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { observeAnimation } from './animations.js';
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const predictionsGrid = root.querySelector('[data-predictions]');
+
+  if (predictionsGrid) {
+    initPredictions(predictionsGrid, {
+      onRender: (cards) => cards.forEach(observeAnimation),
+      signal,
+    }).catch((error) => captureError(error, 'Failed to load predictions'));
+  }
+});
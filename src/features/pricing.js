@@ -0,0 +1,22 @@
+/**
+ * Pricing
+ *
+ * The chosen plan is carried into the signup form's submission data.
+ */
+
+import { initPricing } from '../components/pricing.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { observeAnimation } from './animations.js';
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const pricingRoot = root.querySelector('[data-pricing]');
+
+  if (pricingRoot) {
+    initPricing(pricingRoot, root.querySelector('#signup form'), {
+      onRender: (cards) => cards.forEach(observeAnimation),
+      signal,
+    }).catch((error) => captureError(error, 'Failed to load pricing'));
+  }
+});
@@ -0,0 +1,23 @@
+/**
+ * Responsible Gambling
+ *
+ * Jurisdiction-specific copy, the age gate in front of signup and the footer
+ * notice.
+ */
+
+import { initAgeGate } from '../components/ageGate.js';
+import { initResponsibleGamblingNotice } from '../components/responsibleGambling.js';
+import { applyJurisdiction } from '../utils/jurisdiction.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  applyJurisdiction(root);
+  initAgeGate({ signal });
+
+  const notice = root.querySelector('[data-responsible-gambling]');
+
+  if (notice) {
+    initResponsibleGamblingNotice(notice, { signal });
+  }
+});
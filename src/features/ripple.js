@@ -0,0 +1,41 @@
+/**
+ * Button Ripple
+ *
+ * A ripple from the click point on CTA buttons, skipped with reduced motion.
+ */
+
+import { prefersReducedMotion } from '../utils/motion.js';
+
+import { defineFeature } from './feature.js';
+
+const RIPPLE_DURATION = 600;
+
+const addRipple = (button, e) => {
+  const ripple = document.createElement('span');
+  ripple.classList.add('ripple');
+
+  const rect = button.getBoundingClientRect();
+  const size = Math.max(rect.width, rect.height);
+
+  ripple.style.width = `${size}px`;
+  ripple.style.height = `${size}px`;
+  ripple.style.left = `${e.clientX - rect.left - size / 2}px`;
+  ripple.style.top = `${e.clientY - rect.top - size / 2}px`;
+
+  button.appendChild(ripple);
+  setTimeout(() => ripple.remove(), RIPPLE_DURATION);
+};
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  root.querySelectorAll('.cta-button, .btn-primary').forEach((button) => {
+    button.addEventListener(
+      'click',
+      (e) => {
+        if (!prefersReducedMotion()) {
+          addRipple(button, e);
+        }
+      },
+      { signal }
+    );
+  });
+});
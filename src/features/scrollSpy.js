@@ -0,0 +1,13 @@
+/**
+ * Scroll Spy
+ *
+ * Highlights the header link for the section in view.
+ */
+
+import { initScrollSpy } from '../components/scrollSpy.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root) =>
+  initScrollSpy(root.querySelectorAll('.nav-links a[href^="#"], .mobile-menu a[href^="#"]'))
+);
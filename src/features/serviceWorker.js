@@ -0,0 +1,67 @@
+/**
+ * Service Worker
+ *
+ * Registers the worker vite-plugin-pwa generates in production builds, once
+ * functional consent is given, and offers a reload when an update is waiting.
+ * Withdrawing functional consent removes the worker and everything it cached.
+ */
+
+import { Workbox } from 'workbox-window';
+
+import { t } from '../i18n/index.js';
+import { hasConsent, whenConsented } from '../utils/consent.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { defineFeature } from './feature.js';
+import { showNotification } from './notifications.js';
+
+const removeServiceWorker = () =>
+  navigator.serviceWorker
+    .getRegistrations()
+    .then((registrations) => Promise.all(registrations.map((registration) => registration.unregister())))
+    .then(() => caches.keys())
+    .then((keys) => Promise.all(keys.map((key) => caches.delete(key))))
+    .catch((error) => captureError(error, 'Failed to remove service worker'));
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) {
+    return;
+  }
+
+  const wb = new Workbox(`${import.meta.env.BASE_URL}sw.js`);
+
+  // A new worker is installed and waiting for the current one to release the page
+  wb.addEventListener('waiting', () => {
+    showNotification(t('notifications.updateAvailable'), 'info', {
+      duration: 0,
+      action: {
+        label: t('notifications.reload'),
+        onClick: () => {
+          wb.addEventListener('controlling', () => window.location.reload());
+          wb.messageSkipWaiting();
+        },
+      },
+    });
+  });
+
+  const register = () =>
+    whenConsented('functional')
+      .then(() => wb.register())
+      .catch((error) => captureError(error, 'Service worker registration failed'));
+
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { signal });
+  }
+
+  document.addEventListener(
+    'consentchange',
+    () => {
+      if (!hasConsent('functional')) {
+        removeServiceWorker();
+      }
+    },
+    { signal }
+  );
+});
@@ -0,0 +1,29 @@
+/**
+ * Smooth Scroll
+ *
+ * In-page links scroll to their target, respecting the motion preference.
+ * Links whose target doesn't exist, like placeholder `#` links, are left alone.
+ */
+
+import { scrollToElement } from '../utils/scroll.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  // Delegated, so links rendered later (FAQ, pricing, locale changes) are covered too
+  document.addEventListener(
+    'click',
+    (e) => {
+      const anchor = e.target.closest('a[href^="#"]');
+      const id = anchor?.getAttribute('href').slice(1);
+      // Placeholder `#` links have no target
+      const target = id ? document.getElementById(id) : null;
+
+      if (target) {
+        e.preventDefault();
+        scrollToElement(target);
+      }
+    },
+    { signal }
+  );
+});
@@ -0,0 +1,56 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { destroy, init } from './smoothScroll.js';
+
+vi.hoisted(() => {
+  window.matchMedia = (media) => ({ media, matches: false, addEventListener: () => {} });
+});
+
+const click = (el) => {
+  const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+  el.dispatchEvent(event);
+  return event;
+};
+
+beforeEach(() => {
+  window.scrollTo = vi.fn();
+  document.body.innerHTML = `
+    <a href="#pricing" id="nav-link">Pricing</a>
+    <a href="#" id="placeholder">Blog</a>
+    <section id="pricing"></section>
+  `;
+  init();
+});
+
+afterEach(() => destroy());
+
+describe('smooth scroll', () => {
+  it('scrolls to the target of an in-page link', () => {
+    const event = click(document.getElementById('nav-link'));
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(window.scrollTo).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves placeholder `#` links alone', () => {
+    const event = click(document.getElementById('placeholder'));
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+
+  it('covers links rendered after init', () => {
+    document.body.insertAdjacentHTML('beforeend', '<a href="#pricing" id="late">Plans</a>');
+    click(document.getElementById('late'));
+
+    expect(window.scrollTo).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops on destroy', () => {
+    destroy();
+    click(document.getElementById('nav-link'));
+
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+});
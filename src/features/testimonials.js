@@ -0,0 +1,20 @@
+/**
+ * Testimonials Carousel
+ */
+
+import { initTestimonials } from '../components/testimonials.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { observeAnimation } from './animations.js';
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const testimonialsRoot = root.querySelector('[data-testimonials]');
+
+  if (testimonialsRoot) {
+    initTestimonials(testimonialsRoot, {
+      onRender: observeAnimation,
+      signal,
+    }).catch((error) => captureError(error, 'Failed to load testimonials'));
+  }
+});
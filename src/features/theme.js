@@ -0,0 +1,20 @@
+/**
+ * Theme
+ *
+ * Light, dark or follow the system preference, with a toggle in the header.
+ */
+
+import { initThemeToggle } from '../components/themeToggle.js';
+import { initTheme } from '../utils/theme.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  initTheme({ signal });
+
+  const themeToggle = root.querySelector('[data-theme-toggle]');
+
+  if (themeToggle) {
+    initThemeToggle(themeToggle, { signal });
+  }
+});
@@ -0,0 +1,22 @@
+/**
+ * Track Record
+ *
+ * Counters are rendered from historical results, then animated like the rest.
+ */
+
+import { initTrackRecord } from '../components/trackRecord.js';
+import { captureError } from '../utils/errorReporter.js';
+
+import { observeCounter } from './counters.js';
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  const trackRecordRoot = root.querySelector('[data-track-record]');
+
+  if (trackRecordRoot) {
+    initTrackRecord(trackRecordRoot, {
+      onRender: (counters) => counters.forEach(observeCounter),
+      signal,
+    }).catch((error) => captureError(error, 'Failed to load track record'));
+  }
+});
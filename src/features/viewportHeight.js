@@ -0,0 +1,30 @@
+/**
+ * Viewport Height
+ *
+ * Keeps `--vh` at 1% of the real inner height (mobile browser bars included),
+ * recalculated at most every 250ms while resizing.
+ */
+
+import { defineFeature } from './feature.js';
+
+const RESIZE_DELAY = 250;
+
+const updateViewportHeight = () => {
+  document.documentElement.style.setProperty('--vh', `${window.innerHeight * 0.01}px`);
+};
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  let timer = null;
+
+  window.addEventListener(
+    'resize',
+    () => {
+      clearTimeout(timer);
+      timer = setTimeout(updateViewportHeight, RESIZE_DELAY);
+    },
+    { signal }
+  );
+  updateViewportHeight();
+
+  return () => clearTimeout(timer);
+});
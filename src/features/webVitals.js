@@ -0,0 +1,21 @@
+/**
+ * Performance Monitoring
+ *
+ * Core Web Vitals from real visitors, plus the live overlay in development.
+ */
+
+import { initWebVitals } from '../utils/webVitals.js';
+
+import { defineFeature } from './feature.js';
+
+export const { init, destroy } = defineFeature((root, signal) => {
+  initWebVitals({ signal });
+
+  if (import.meta.env.DEV) {
+    import('../components/vitalsOverlay.js').then(({ initVitalsOverlay }) => {
+      if (!signal.aborted) {
+        initVitalsOverlay({ signal });
+      }
+    });
+  }
+});
@@ -0,0 +1,185 @@
+/**
+ * Internationalization
+ *
+ * Messages live in per-locale JSON catalogs under `./locales`. English is
+ * bundled as the fallback; other locales are loaded on demand.
+ *
+ * Markup is translated declaratively:
+ * - `data-i18n="hero.title"` sets the element's text
+ * - `data-i18n-attr="placeholder:form.email;aria-label:nav.menu"` sets attributes
+ * - `data-i18n-params='{"year": "2024"}'` supplies interpolation values
+ *
+ * A message may be a plural object (`{ "one": "...", "other": "..." }`),
+ * selected with Intl.PluralRules from the `count` parameter. `{name}`
+ * placeholders are replaced from the params; numbers are locale-formatted.
+ *
+ * Changing locale dispatches a `localechange` event on `document`.
+ */
+
+import en from './locales/en.json';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: 'English',
+  es: 'Español',
+  it: 'Italiano',
+  de: 'Deutsch',
+};
+
+const STORAGE_KEY = 'locale';
+
+const loaders = {
+  es: () => import('./locales/es.json'),
+  it: () => import('./locales/it.json'),
+  de: () => import('./locales/de.json'),
+};
+
+const catalogs = { en };
+const warned = new Set();
+
+let currentLocale = DEFAULT_LOCALE;
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+const warnMissing = (key) => {
+  const id = `${currentLocale}:${key}`;
+  if (import.meta.env.DEV && !warned.has(id)) {
+    warned.add(id);
+    console.warn(`[i18n] Missing "${key}" in "${currentLocale}" catalog, falling back to English`);
+  }
+};
+
+/**
+ * The active locale code.
+ * @returns {string}
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Format a number for the active locale.
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(currentLocale, options).format(value);
+
+/**
+ * Format a date for the active locale.
+ * @param {Date | number | string} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export const formatDate = (value, options) =>
+  new Intl.DateTimeFormat(currentLocale, options).format(new Date(value));
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) {
+      return placeholder;
+    }
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+
+/**
+ * Translate a key.
+ * @param {string} key Dot-separated path into the catalog, e.g. `form.sending`
+ * @param {Record<string, string | number>} [params]
+ * @returns {string} The message, or the key itself when no catalog has it
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(catalogs[currentLocale], key);
+
+  if (message === undefined && currentLocale !== DEFAULT_LOCALE) {
+    warnMissing(key);
+    message = lookup(catalogs[DEFAULT_LOCALE], key);
+  }
+  if (message === undefined) {
+    warnMissing(key);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(Number(params.count));
+    message = message[category] ?? message.other;
+  }
+
+  return interpolate(message, params);
+};
+
+const readParams = (element) => {
+  try {
+    return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Fill every `data-i18n` / `data-i18n-attr` element under a root.
+ * @param {ParentNode} [root]
+ */
+export const translateElement = (root = document) => {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n, readParams(element));
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach((element) => {
+    const params = readParams(element);
+    element.dataset.i18nAttr.split(';').forEach((pair) => {
+      const [attribute, key] = pair.split(':').map((part) => part.trim());
+      if (attribute && key) {
+        element.setAttribute(attribute, t(key, params));
+      }
+    });
+  });
+};
+
+const resolveLocale = (code) => {
+  const base = String(code || '').toLowerCase().split('-')[0];
+  return base in LOCALES ? base : null;
+};
+
+/**
+ * Switch locale, translate the page and notify listeners.
+ * @param {string} code
+ * @returns {Promise<string>} The locale that was applied
+ */
+export const setLocale = async (code) => {
+  const locale = resolveLocale(code) || DEFAULT_LOCALE;
+
+  if (!catalogs[locale]) {
+    catalogs[locale] = (await loaders[locale]()).default;
+  }
+
+  currentLocale = locale;
+  document.documentElement.lang = locale;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Storage may be unavailable (private mode); the choice just won't persist
+  }
+
+  translateElement(document);
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+  return locale;
+};
+
+const storedLocale = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Pick the initial locale from the saved choice or the browser languages.
+ * @returns {Promise<string>}
+ */
+export const initI18n = () => {
+  const candidates = [storedLocale(), ...(navigator.languages || [navigator.language])];
+  const locale = candidates.map(resolveLocale).find(Boolean) || DEFAULT_LOCALE;
+  return setLocale(locale);
+};
@@ -0,0 +1,88 @@
+/**
+ * Application Entry
+ *
+ * The one script index.html loads. It pulls in the stylesheet (the critical,
+ * above-the-fold part is also inlined into the HTML, see criticalCssPlugin in
+ * vite.config.js) and starts every feature in src/features, in this order:
+ * - error reporting first, so failures while the rest start are captured
+ * - experiments before i18n, so translation picks up the variants' keys
+ * - the mobile menu before smooth scrolling, which binds to its links
+ * - animations, notifications and counters before the features that use them
+ *
+ * A feature that throws while starting is reported and skipped; the rest
+ * still start.
+ */
+
+import './styles/main.css';
+
+import * as analytics from './features/analytics.js';
+import * as animations from './features/animations.js';
+import * as backToTop from './features/backToTop.js';
+import * as consent from './features/consent.js';
+import * as counters from './features/counters.js';
+import * as errorReporting from './features/errorReporting.js';
+import * as experiments from './features/experiments.js';
+import * as faq from './features/faq.js';
+import * as forms from './features/forms.js';
+import * as header from './features/header.js';
+import * as i18n from './features/i18n.js';
+import * as lazyImages from './features/lazyImages.js';
+import * as mobileNav from './features/mobileNav.js';
+import * as motion from './features/motion.js';
+import * as notifications from './features/notifications.js';
+import * as oddsCalculator from './features/oddsCalculator.js';
+import * as predictions from './features/predictions.js';
+import * as pricing from './features/pricing.js';
+import * as responsibleGambling from './features/responsibleGambling.js';
+import * as ripple from './features/ripple.js';
+import * as scrollSpy from './features/scrollSpy.js';
+import * as serviceWorker from './features/serviceWorker.js';
+import * as smoothScroll from './features/smoothScroll.js';
+import * as testimonials from './features/testimonials.js';
+import * as theme from './features/theme.js';
+import * as trackRecord from './features/trackRecord.js';
+import * as viewportHeight from './features/viewportHeight.js';
+import * as webVitals from './features/webVitals.js';
+import { captureError } from './utils/errorReporter.js';
+
+const FEATURES = {
+  errorReporting,
+  experiments,
+  i18n,
+  theme,
+  motion,
+  mobileNav,
+  consent,
+  responsibleGambling,
+  analytics,
+  webVitals,
+  lazyImages,
+  smoothScroll,
+  header,
+  scrollSpy,
+  animations,
+  notifications,
+  counters,
+  predictions,
+  oddsCalculator,
+  pricing,
+  testimonials,
+  faq,
+  forms,
+  trackRecord,
+  viewportHeight,
+  ripple,
+  backToTop,
+  serviceWorker,
+};
+
+Object.entries(FEATURES).forEach(([name, feature]) => {
+  try {
+    feature.init(document);
+  } catch (error) {
+    captureError(error, `Failed to start ${name}`);
+  }
+});
+
+// For CSS transitions that should only run once the page is interactive
+document.body.classList.add('loaded');
@@ -0,0 +1,66 @@
+/**
+ * Age Verification
+ *
+ * Remembers that the visitor confirmed they are at least the jurisdiction's
+ * minimum age. The confirmation expires after `VITE_AGE_GATE_DAYS` days
+ * (default 30), and is asked for again if the minimum age or jurisdiction
+ * changes. Confirming dispatches `ageverified` on document.
+ *
+ * `getAgeAcknowledgement()` is what form submissions send along, so the
+ * backend has a record of what was confirmed and when.
+ */
+
+import { getJurisdiction, getJurisdictionCode } from './jurisdiction.js';
+
+const STORAGE_KEY = 'ageVerification';
+const DEFAULT_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const rememberFor = () => (Number(import.meta.env.VITE_AGE_GATE_DAYS) || DEFAULT_DAYS) * DAY;
+
+const readStored = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let record = readStored();
+
+const isCurrent = (stored) =>
+  Boolean(stored) &&
+  stored.jurisdiction === getJurisdictionCode() &&
+  stored.minimumAge === getJurisdiction().minimumAge &&
+  Date.now() - new Date(stored.confirmedAt).getTime() < rememberFor();
+
+/**
+ * Whether the visitor has a current age confirmation.
+ * @returns {boolean}
+ */
+export const isAgeVerified = () => isCurrent(record);
+
+/**
+ * The current confirmation, or null when there isn't one.
+ * @returns {{ minimumAge: number, jurisdiction: string, confirmedAt: string } | null}
+ */
+export const getAgeAcknowledgement = () => (isAgeVerified() ? { ...record } : null);
+
+/**
+ * Record that the visitor confirmed their age and notify listeners.
+ */
+export const confirmAge = () => {
+  record = {
+    minimumAge: getJurisdiction().minimumAge,
+    jurisdiction: getJurisdictionCode(),
+    confirmedAt: new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch {
+    // Without storage the confirmation only lasts for this page view
+  }
+
+  document.dispatchEvent(new CustomEvent('ageverified', { detail: getAgeAcknowledgement() }));
+};
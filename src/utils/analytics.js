@@ -0,0 +1,218 @@
+/**
+ * Analytics Event Layer
+ *
+ * `track(event, props)` queues an event; queued events are delivered in
+ * batches to every configured sink. A batch is flushed when it reaches
+ * `batchSize`, after `flushInterval` ms, or when the page is hidden (once
+ * `flushOnPageHide()` is set up, which the analytics feature does).
+ *
+ * Sinks are plain objects with a `send(events)` method:
+ * - `consoleSink()` logs batches (the default in development)
+ * - `beaconSink(url)` posts batches with `navigator.sendBeacon`
+ *   (the default in production when `VITE_ANALYTICS_ENDPOINT` is set)
+ * - `memorySink()` keeps events in an array, for tests and debugging
+ *
+ * Nothing is recorded without `analytics` consent, and events still queued
+ * when consent is withdrawn are discarded.
+ */
+
+import { hasConsent } from './consent.js';
+import { onScroll } from './scrollManager.js';
+
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+/**
+ * Log each batch to the console, in development builds only.
+ */
+export const consoleSink = () => ({
+  send: (events) => {
+    if (import.meta.env.DEV) {
+      console.warn('[analytics]', events);
+    }
+  },
+});
+
+/**
+ * Post each batch as JSON to `url`. Falls back to a keepalive fetch where
+ * sendBeacon is missing or refuses the payload.
+ * @param {string} url
+ */
+export const beaconSink = (url) => ({
+  send: (events) => {
+    const body = JSON.stringify({ events });
+
+    if (navigator.sendBeacon?.(url, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {});
+  },
+});
+
+/**
+ * Keep every event in memory.
+ * @returns {{ events: object[], send: Function, clear: Function }}
+ */
+export const memorySink = () => {
+  const events = [];
+
+  return {
+    events,
+    send: (batch) => events.push(...batch),
+    clear: () => events.splice(0),
+  };
+};
+
+const defaultSinks = () => {
+  const endpoint = import.meta.env.VITE_ANALYTICS_ENDPOINT;
+
+  if (import.meta.env.DEV) {
+    return [consoleSink()];
+  }
+  return endpoint ? [beaconSink(endpoint)] : [];
+};
+
+const config = {
+  sinks: defaultSinks(),
+  batchSize: DEFAULT_BATCH_SIZE,
+  flushInterval: DEFAULT_FLUSH_INTERVAL,
+};
+
+const queue = [];
+let flushTimer = null;
+
+/**
+ * Deliver every queued event to the sinks now.
+ */
+export const flush = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (!queue.length) {
+    return;
+  }
+
+  const batch = queue.splice(0);
+  config.sinks.forEach((sink) => {
+    try {
+      sink.send(batch);
+    } catch (error) {
+      console.error('Analytics sink failed:', error);
+    }
+  });
+};
+
+/**
+ * Replace the sinks or batching options.
+ * @param {{ sinks?: object[], batchSize?: number, flushInterval?: number }} options
+ */
+export const configureAnalytics = (options = {}) => {
+  flush();
+  Object.assign(config, options);
+};
+
+/**
+ * Record an event.
+ * @param {string} event
+ * @param {Record<string, unknown>} [props]
+ */
+export const track = (event, props = {}) => {
+  if (!hasConsent('analytics')) {
+    return;
+  }
+
+  queue.push({
+    event,
+    props,
+    path: window.location.pathname,
+    timestamp: Date.now(),
+  });
+
+  if (queue.length >= config.batchSize) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, config.flushInterval);
+  }
+};
+
+document.addEventListener('consentchange', () => {
+  if (!hasConsent('analytics')) {
+    queue.splice(0);
+  }
+});
+
+/**
+ * Flush whenever the page is hidden, until `signal` is aborted.
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+export const flushOnPageHide = ({ signal } = {}) => {
+  // pagehide is the last reliable moment to send on mobile and with bfcache
+  window.addEventListener('pagehide', flush, { signal });
+  document.addEventListener(
+    'visibilitychange',
+    () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    },
+    { signal }
+  );
+};
+
+/**
+ * The ID (or tag name) of the section, header or footer an element is in.
+ * @param {Element} el
+ * @returns {string | undefined}
+ */
+export const sectionOf = (el) => {
+  const region = el.closest('section, header, footer');
+  return region?.id || region?.tagName.toLowerCase();
+};
+
+/**
+ * Send `section_view` the first time each section crosses the middle of the viewport.
+ * @param {NodeListOf<HTMLElement> | HTMLElement[]} sections
+ * @returns {() => void} Stop observing
+ */
+export const trackSectionViews = (sections) => {
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          track('section_view', { section: entry.target.id });
+          observer.unobserve(entry.target);
+        }
+      });
+    },
+    { rootMargin: '-50% 0px -50% 0px' }
+  );
+
+  sections.forEach((section) => observer.observe(section));
+  return () => observer.disconnect();
+};
+
+/**
+ * Send `scroll_depth` once per milestone (25/50/75/100 % of the page).
+ * @returns {() => void} Stop tracking
+ */
+export const trackScrollDepth = () => {
+  const reached = new Set();
+
+  return onScroll(({ y, viewportHeight, documentHeight }) => {
+    const depth = ((y + viewportHeight) / documentHeight) * 100;
+
+    SCROLL_MILESTONES.forEach((milestone) => {
+      if (depth >= milestone && !reached.has(milestone)) {
+        reached.add(milestone);
+        track('scroll_depth', { percent: milestone });
+      }
+    });
+  });
+};
@@ -0,0 +1,141 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { configureAnalytics, flush, flushOnPageHide, memorySink, track } from './analytics.js';
+import { saveConsent } from './consent.js';
+
+const FLUSH_INTERVAL = 1000;
+
+const eventNames = (sink) => sink.events.map(({ event }) => event);
+
+let sink;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  saveConsent({ analytics: true });
+  sink = memorySink();
+  configureAnalytics({ sinks: [sink], batchSize: 3, flushInterval: FLUSH_INTERVAL });
+});
+
+afterEach(() => {
+  flush();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('track', () => {
+  it('queues events with their props, path and time', () => {
+    vi.setSystemTime(new Date('2026-05-01T12:00:00Z'));
+    track('cta_click', { label: 'Sign up' });
+    expect(sink.events).toEqual([]);
+
+    flush();
+    expect(sink.events).toEqual([
+      {
+        event: 'cta_click',
+        props: { label: 'Sign up' },
+        path: window.location.pathname,
+        timestamp: Date.parse('2026-05-01T12:00:00Z'),
+      },
+    ]);
+  });
+
+  it('sends a batch as soon as it is full', () => {
+    track('a');
+    track('b');
+    expect(sink.events).toEqual([]);
+
+    track('c');
+    expect(eventNames(sink)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('sends a partial batch after the flush interval', () => {
+    track('a');
+    vi.advanceTimersByTime(FLUSH_INTERVAL - 1);
+    expect(sink.events).toEqual([]);
+
+    vi.advanceTimersByTime(1);
+    expect(eventNames(sink)).toEqual(['a']);
+  });
+
+  it('sends what is queued when the page is hidden, until aborted', () => {
+    const controller = new AbortController();
+    flushOnPageHide({ signal: controller.signal });
+
+    track('a');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(eventNames(sink)).toEqual(['a']);
+
+    controller.abort();
+    track('b');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(eventNames(sink)).toEqual(['a']);
+  });
+
+  it('delivers every batch to every sink', () => {
+    const other = memorySink();
+    configureAnalytics({ sinks: [sink, other] });
+
+    ['a', 'b', 'c', 'd'].forEach((event) => track(event));
+    flush();
+
+    expect(eventNames(sink)).toEqual(['a', 'b', 'c', 'd']);
+    expect(eventNames(other)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('keeps delivering when one sink fails', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = {
+      send: () => {
+        throw new Error('offline');
+      },
+    };
+    configureAnalytics({ sinks: [failing, sink] });
+
+    track('a');
+    flush();
+
+    expect(eventNames(sink)).toEqual(['a']);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('flushes to the old sinks before they are replaced', () => {
+    const next = memorySink();
+    track('a');
+
+    configureAnalytics({ sinks: [next] });
+    track('b');
+    flush();
+
+    expect(eventNames(sink)).toEqual(['a']);
+    expect(eventNames(next)).toEqual(['b']);
+  });
+});
+
+describe('consent', () => {
+  it('records nothing without analytics consent', () => {
+    saveConsent({ analytics: false });
+    track('a');
+    flush();
+    expect(sink.events).toEqual([]);
+  });
+
+  it('discards queued events when consent is withdrawn', () => {
+    track('a');
+    saveConsent({ analytics: false });
+    flush();
+    expect(sink.events).toEqual([]);
+  });
+});
+
+describe('memorySink', () => {
+  it('collects batches until cleared', () => {
+    const memory = memorySink();
+    memory.send([{ event: 'a' }]);
+    memory.send([{ event: 'b' }]);
+    expect(eventNames(memory)).toEqual(['a', 'b']);
+
+    memory.clear();
+    expect(memory.events).toEqual([]);
+  });
+});
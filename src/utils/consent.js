@@ -0,0 +1,119 @@
+/**
+ * Cookie Consent
+ *
+ * Records the visitor's choice per category:
+ * - `necessary`: always on (consent record, language and theme preferences)
+ * - `analytics`: event tracking (see analytics.js)
+ * - `functional`: the service worker and third-party fonts, icons and images
+ *
+ * The choice is stored with CONSENT_VERSION; bump it when the cookie policy
+ * changes so everyone is asked again. Other code can check `hasConsent()`,
+ * await `whenConsented()` or listen for `consentchange` on document.
+ *
+ * Third-party resources in the markup are gated with `data-consent="<category>"`
+ * and `data-consent-href` / `data-consent-src` / `data-consent-srcset` in place
+ * of the real attributes; `loadConsentedResources()` swaps them in.
+ */
+
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'functional'];
+
+const CONSENT_VERSION = 1;
+const STORAGE_KEY = 'consent';
+// srcset before src so the browser doesn't start fetching the fallback first
+const GATED_ATTRIBUTES = ['href', 'srcset', 'src'];
+
+const readStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.version === CONSENT_VERSION ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+let record = readStored();
+
+/**
+ * Whether the visitor still has to make a choice (none yet, or an outdated one).
+ * @returns {boolean}
+ */
+export const needsConsent = () => !record;
+
+/**
+ * @param {string} category
+ * @returns {boolean}
+ */
+export const hasConsent = (category) =>
+  category === 'necessary' || Boolean(record?.choices[category]);
+
+/**
+ * The current choice for every category.
+ * @returns {Record<string, boolean>}
+ */
+export const getConsent = () =>
+  Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, hasConsent(category)]));
+
+/**
+ * Store the visitor's choice and notify listeners.
+ * @param {{ analytics?: boolean, functional?: boolean }} choices
+ */
+export const saveConsent = (choices) => {
+  record = {
+    version: CONSENT_VERSION,
+    choices: {
+      analytics: Boolean(choices.analytics),
+      functional: Boolean(choices.functional),
+    },
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch {
+    // Without storage the choice only lasts for this page view
+  }
+
+  document.dispatchEvent(new CustomEvent('consentchange', { detail: getConsent() }));
+};
+
+/**
+ * Resolve once consent for `category` is granted (immediately if it already is).
+ * @param {string} category
+ * @returns {Promise<void>}
+ */
+export const whenConsented = (category) => {
+  if (hasConsent(category)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const onChange = () => {
+      if (hasConsent(category)) {
+        document.removeEventListener('consentchange', onChange);
+        resolve();
+      }
+    };
+    document.addEventListener('consentchange', onChange);
+  });
+};
+
+/**
+ * Swap in the real URLs of gated resources whose category is consented to.
+ * @param {ParentNode} [root]
+ */
+export const loadConsentedResources = (root = document) => {
+  root.querySelectorAll('[data-consent]').forEach((el) => {
+    if (!hasConsent(el.dataset.consent)) {
+      return;
+    }
+
+    GATED_ATTRIBUTES.forEach((attribute) => {
+      const gated = `data-consent-${attribute}`;
+      if (el.hasAttribute(gated)) {
+        el.setAttribute(attribute, el.getAttribute(gated));
+        el.removeAttribute(gated);
+      }
+    });
+    el.removeAttribute('data-consent');
+  });
+};
@@ -0,0 +1,158 @@
+/**
+ * Counter Engine
+ *
+ * Counts an element's text up (or down) to a number on requestAnimationFrame.
+ * Progress comes from elapsed time, not from the number of frames, so a
+ * throttled or backgrounded tab finishes on time instead of drifting.
+ *
+ * Counters are configured with data attributes:
+ *
+ *   data-target    Final value (required)
+ *   data-start     Initial value (default 0)
+ *   data-duration  Milliseconds (default 2000)
+ *   data-easing    A key of EASINGS (default `easeOutCubic`)
+ *   data-decimals  Fraction digits shown while counting and at the end
+ *   data-format    `number` (default), `percent` or `currency`
+ *   data-notation  `standard` (default) or `compact` ("1.2M")
+ *   data-currency  ISO 4217 code for `currency` (default GBP)
+ *   data-prefix    Text before the number
+ *   data-suffix    Text after the number
+ *
+ * Percent targets are written in points: `data-target="87.4"` shows "87.4%".
+ * With reduced motion on, counters show their final value straight away.
+ */
+
+import { getLocale } from '../i18n/index.js';
+
+import { prefersReducedMotion } from './motion.js';
+
+export const EASINGS = {
+  linear: (p) => p,
+  easeOutQuad: (p) => 1 - (1 - p) ** 2,
+  easeOutCubic: (p) => 1 - (1 - p) ** 3,
+  easeInOutCubic: (p) => (p < 0.5 ? 4 * p ** 3 : 1 - (-2 * p + 2) ** 3 / 2),
+  easeOutExpo: (p) => (p === 1 ? 1 : 1 - 2 ** (-10 * p)),
+};
+
+const DEFAULT_DURATION = 2000;
+const DEFAULT_EASING = 'easeOutCubic';
+const DEFAULT_CURRENCY = 'GBP';
+
+const numberOr = (value, fallback) => {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Read a counter's configuration from its data attributes.
+ * @param {HTMLElement} element
+ */
+export const readCounterOptions = (element) => {
+  const { dataset } = element;
+
+  return {
+    target: numberOr(dataset.target, 0),
+    start: numberOr(dataset.start, 0),
+    duration: Math.max(numberOr(dataset.duration, DEFAULT_DURATION), 0),
+    easing: EASINGS[dataset.easing] ? dataset.easing : DEFAULT_EASING,
+    decimals: dataset.decimals === undefined ? undefined : numberOr(dataset.decimals, 0),
+    format: dataset.format || 'number',
+    notation: dataset.notation || 'standard',
+    currency: dataset.currency || DEFAULT_CURRENCY,
+    prefix: dataset.prefix || '',
+    suffix: dataset.suffix || '',
+  };
+};
+
+// Plain and percent numbers count in whole steps unless decimals are asked for
+const fractionDigits = ({ decimals, format, notation }) => {
+  if (decimals !== undefined) {
+    return { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  }
+  if (format === 'currency' || notation === 'compact') {
+    return {};
+  }
+  return { maximumFractionDigits: 0 };
+};
+
+/**
+ * A formatter for a counter's values in the active locale.
+ * @param {ReturnType<typeof readCounterOptions>} options
+ * @returns {(value: number) => string}
+ */
+export const createCounterFormatter = (options) => {
+  const { format, notation, currency, prefix, suffix } = options;
+  const formatter = new Intl.NumberFormat(getLocale(), {
+    style: format === 'percent' || format === 'currency' ? format : 'decimal',
+    currency: format === 'currency' ? currency : undefined,
+    notation,
+    ...fractionDigits(options),
+  });
+  const scale = format === 'percent' ? 100 : 1;
+
+  return (value) => `${prefix}${formatter.format(value / scale)}${suffix}`;
+};
+
+/**
+ * Control the count-up animation of one element. The options are read from the
+ * data attributes on every `start()` and `reset()`, so changing `data-target` and
+ * starting again re-runs the counter against the new value.
+ * @param {HTMLElement} element
+ * @returns {{ start: () => void, stop: () => void, reset: () => void, running: () => boolean }}
+ */
+export const createCounter = (element) => {
+  let frame = null;
+
+  const stop = () => {
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+
+  const reset = () => {
+    stop();
+    const options = readCounterOptions(element);
+    element.textContent = createCounterFormatter(options)(options.start);
+  };
+
+  const start = () => {
+    stop();
+
+    const options = readCounterOptions(element);
+    const format = createCounterFormatter(options);
+    const ease = EASINGS[options.easing];
+    const { start: from, target, duration } = options;
+    let startTime = null;
+
+    const tick = (now) => {
+      startTime ??= now;
+      const progress =
+        duration > 0 && !prefersReducedMotion() ? Math.min((now - startTime) / duration, 1) : 1;
+
+      element.textContent = format(from + (target - from) * ease(progress));
+      frame = progress < 1 ? requestAnimationFrame(tick) : null;
+    };
+
+    if (prefersReducedMotion()) {
+      element.textContent = format(target);
+    } else {
+      frame = requestAnimationFrame(tick);
+    }
+  };
+
+  return { start, stop, reset, running: () => frame !== null };
+};
+
+const counters = new WeakMap();
+
+/**
+ * The counter controlling `element`, created on first use.
+ * @param {HTMLElement} element
+ */
+export const counterFor = (element) => {
+  if (!counters.has(element)) {
+    counters.set(element, createCounter(element));
+  }
+  return counters.get(element);
+};
@@ -0,0 +1,173 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  counterFor,
+  createCounter,
+  createCounterFormatter,
+  readCounterOptions,
+} from './counter.js';
+import { setMotionMode } from './motion.js';
+
+vi.hoisted(() => {
+  window.matchMedia = (media) => ({
+    media,
+    matches: false,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+});
+
+const counterElement = (attributes) => {
+  const element = document.createElement('span');
+  Object.assign(element.dataset, attributes);
+  return element;
+};
+
+const formatted = (attributes, value) =>
+  createCounterFormatter(readCounterOptions(counterElement(attributes)))(value);
+
+describe('readCounterOptions', () => {
+  it('falls back to the defaults for missing or invalid attributes', () => {
+    const element = counterElement({ target: '10', duration: 'soon', easing: 'bounce' });
+
+    expect(readCounterOptions(element)).toEqual({
+      target: 10,
+      start: 0,
+      duration: 2000,
+      easing: 'easeOutCubic',
+      decimals: undefined,
+      format: 'number',
+      notation: 'standard',
+      currency: 'GBP',
+      prefix: '',
+      suffix: '',
+    });
+  });
+});
+
+describe('createCounterFormatter', () => {
+  it('counts plain numbers in whole steps with grouping', () => {
+    expect(formatted({}, 12345.6)).toBe('12,346');
+  });
+
+  it('shows the asked-for decimals', () => {
+    expect(formatted({ decimals: '2' }, 3)).toBe('3.00');
+  });
+
+  it('reads percent targets as points', () => {
+    expect(formatted({ format: 'percent', decimals: '1' }, 87.4)).toBe('87.4%');
+  });
+
+  it('formats currency in the given code', () => {
+    expect(formatted({ format: 'currency' }, 1234.5)).toBe('£1,234.50');
+    expect(formatted({ format: 'currency', currency: 'EUR' }, 5)).toBe('€5.00');
+  });
+
+  it('abbreviates with compact notation', () => {
+    expect(formatted({ notation: 'compact' }, 1200000)).toBe('1.2M');
+  });
+
+  it('wraps the number in the prefix and suffix', () => {
+    expect(formatted({ prefix: '+', suffix: ' tips' }, 500)).toBe('+500 tips');
+  });
+});
+
+describe('createCounter', () => {
+  let frames;
+  let now;
+
+  // Run the queued animation frame `step` milliseconds after the last one
+  const runFrame = (step) => {
+    const [[id, callback]] = frames;
+    frames.delete(id);
+    now += step;
+    callback(now);
+  };
+
+  const runFrames = (step) => {
+    while (frames.size) {
+      runFrame(step);
+    }
+  };
+
+  beforeEach(() => {
+    frames = new Map();
+    now = 0;
+    let nextId = 0;
+    vi.stubGlobal('requestAnimationFrame', (callback) => {
+      nextId += 1;
+      frames.set(nextId, callback);
+      return nextId;
+    });
+    vi.stubGlobal('cancelAnimationFrame', (id) => frames.delete(id));
+  });
+
+  afterEach(() => {
+    setMotionMode('system');
+    vi.unstubAllGlobals();
+  });
+
+  it('shows the end value straight away under reduced motion', () => {
+    setMotionMode('reduce');
+    const element = counterElement({ target: '87.4', format: 'percent', decimals: '1' });
+    const counter = createCounter(element);
+
+    counter.start();
+
+    expect(element.textContent).toBe('87.4%');
+    expect(counter.running()).toBe(false);
+    expect(frames.size).toBe(0);
+  });
+
+  it('jumps to the end value when reduced motion turns on mid-count', () => {
+    setMotionMode('full');
+    const element = counterElement({ target: '1000', duration: '1000' });
+    const counter = createCounter(element);
+
+    counter.start();
+    runFrame(0);
+    runFrame(100);
+    expect(counter.running()).toBe(true);
+
+    setMotionMode('reduce');
+    runFrame(16);
+
+    expect(element.textContent).toBe('1,000');
+    expect(counter.running()).toBe(false);
+  });
+
+  it('ends exactly on the target however the frames fall', () => {
+    setMotionMode('full');
+    const element = counterElement({ start: '50', target: '1234', duration: '1000' });
+    const counter = createCounter(element);
+
+    counter.start();
+    runFrames(333);
+
+    expect(element.textContent).toBe('1,234');
+    expect(counter.running()).toBe(false);
+  });
+
+  it('counts down as well as up', () => {
+    setMotionMode('full');
+    const element = counterElement({ start: '10', target: '0', duration: '100' });
+
+    createCounter(element).start();
+    runFrames(40);
+
+    expect(element.textContent).toBe('0');
+  });
+
+  it('resets to the start value', () => {
+    setMotionMode('reduce');
+    const element = counterElement({ start: '5', target: '10' });
+    const counter = counterFor(element);
+
+    counter.start();
+    counter.reset();
+
+    expect(element.textContent).toBe('5');
+    expect(counterFor(element)).toBe(counter);
+  });
+});
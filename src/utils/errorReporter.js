@@ -0,0 +1,254 @@
+/**
+ * Error Reporter
+ *
+ * Captures uncaught errors, unhandled promise rejections and failed resource
+ * loads (scripts, stylesheets, images) globally; catch sites that recover on
+ * their own report through `captureError()` instead of `console.error`, which
+ * production builds strip.
+ *
+ * Every report carries a normalized stack (`{ fn, file, line, column }`
+ * frames, origin and cache-busting query removed) and the last breadcrumbs:
+ * clicks, navigations and notifications, plus whatever `addBreadcrumb()` adds.
+ * Reports are deduplicated by fingerprint (type, message and top frame; a
+ * repeat bumps the queued report's `count`, or queues a `repeat: true`
+ * report when the first was already sent), rate limited (repeats included,
+ * at most one per fingerprint per batch), and sent in
+ * batches to `VITE_ERROR_ENDPOINT` when the batch fills, after
+ * `flushInterval` ms, or when the page is hidden. Like analytics, nothing is
+ * sent without `analytics` consent.
+ *
+ * Production builds emit hidden source maps (see vite.config.js) so the
+ * minified frames can be symbolicated offline.
+ */
+
+import { beaconSink } from './analytics.js';
+import { hasConsent } from './consent.js';
+
+const MAX_BREADCRUMBS = 20;
+const RATE_WINDOW = 60 * 1000;
+
+const DEFAULTS = {
+  endpoint: import.meta.env.VITE_ERROR_ENDPOINT,
+  batchSize: 10,
+  flushInterval: 5000,
+  maxPerMinute: 10,
+  maxPerPage: 50,
+};
+
+const config = { ...DEFAULTS };
+const breadcrumbs = [];
+const queue = [];
+// Fingerprint → the report already sent or queued for it
+const seen = new Map();
+const sentAt = [];
+
+let sentTotal = 0;
+let flushTimer = null;
+// Aborting it removes the global handlers
+let controller = null;
+
+/**
+ * Remember something the visitor or the app did, for context in later reports.
+ * @param {{ category: string, message: string, data?: Record<string, unknown> }} crumb
+ */
+export const addBreadcrumb = ({ category, message, data }) => {
+  breadcrumbs.push({ category, message, data, timestamp: Date.now() });
+  if (breadcrumbs.length > MAX_BREADCRUMBS) {
+    breadcrumbs.shift();
+  }
+};
+
+// Chrome's "    at fn (https://host/app.js?v=1:10:5)", then Firefox and Safari's "fn@…:10:5"
+const FRAME_PATTERNS = [
+  /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/,
+  /^(.*?)@(.+?):(\d+):(\d+)$/,
+];
+
+const normalizeFile = (file) => {
+  try {
+    const url = new URL(file, window.location.href);
+    return url.origin === window.location.origin ? url.pathname : `${url.origin}${url.pathname}`;
+  } catch {
+    return file;
+  }
+};
+
+/**
+ * Parse a stack trace into frames, dropping lines that aren't frames.
+ * @param {string} [stack]
+ * @returns {{ fn: string, file: string, line: number, column: number }[]}
+ */
+export const parseStack = (stack = '') =>
+  stack
+    .split('\n')
+    .map((line) => {
+      const match = FRAME_PATTERNS.map((pattern) => line.match(pattern)).find(Boolean);
+      return (
+        match && {
+          fn: match[1] || '<anonymous>',
+          file: normalizeFile(match[2]),
+          line: Number(match[3]),
+          column: Number(match[4]),
+        }
+      );
+    })
+    .filter(Boolean);
+
+const fingerprintOf = ({ type, message, frames }) => {
+  const [top] = frames;
+  return [type, message, top && `${top.file}:${top.line}:${top.column}`].join('|');
+};
+
+const withinRateLimit = () => {
+  const now = Date.now();
+  while (sentAt.length && now - sentAt[0] > RATE_WINDOW) {
+    sentAt.shift();
+  }
+  return sentAt.length < config.maxPerMinute && sentTotal < config.maxPerPage;
+};
+
+/**
+ * Send every queued report now.
+ */
+export const flushErrors = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const batch = queue.splice(0);
+  if (!batch.length || !config.endpoint || !hasConsent('analytics')) {
+    return;
+  }
+  beaconSink(config.endpoint).send(batch);
+};
+
+const push = (queued) => {
+  seen.set(queued.fingerprint, queued);
+  queue.push(queued);
+
+  if (queue.length >= config.batchSize) {
+    flushErrors();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushErrors, config.flushInterval);
+  }
+};
+
+const enqueue = (report) => {
+  const fingerprint = fingerprintOf(report);
+  const known = seen.get(fingerprint);
+
+  if (known && queue.includes(known)) {
+    known.count++;
+    return;
+  }
+  // A repeat of a sent report is a new report, so an error firing in a loop stays within the caps
+  if (!withinRateLimit()) {
+    return;
+  }
+
+  sentAt.push(Date.now());
+  sentTotal++;
+  push({ ...report, fingerprint, count: 1, ...(known && { repeat: true }) });
+};
+
+const buildReport = (type, error, context) => {
+  // Duck-typed, so errors from other realms (iframes, workers) count too
+  const isError = typeof error?.message === 'string';
+  return {
+    type,
+    name: isError ? error.name : 'Error',
+    message: isError ? error.message : String(error),
+    frames: isError ? parseStack(error.stack) : [],
+    context: context || null,
+    status: error?.status ?? null,
+    page: window.location.pathname,
+    userAgent: navigator.userAgent,
+    timestamp: new Date().toISOString(),
+    breadcrumbs: breadcrumbs.slice(),
+  };
+};
+
+/**
+ * Report an error that was caught and handled. It is still logged to the
+ * console in development.
+ * @param {unknown} error
+ * @param {string} [context] Where it happened, e.g. `Failed to load pricing`
+ */
+export const captureError = (error, context) => {
+  console.error(context ? `${context}:` : 'Error:', error);
+  enqueue(buildReport('caught', error, context));
+};
+
+const describeTarget = (el) => {
+  // Keys and names only: never what the visitor typed
+  const text = el.dataset?.i18n || el.getAttribute?.('aria-label') || el.name || el.id || '';
+  return `${el.tagName?.toLowerCase()}${text ? ` (${text})` : ''}`;
+};
+
+// Resource errors don't bubble, so they're only seen on window in the capture phase
+const onError = (event) => {
+  const { target } = event;
+
+  if (target && target !== window && target.tagName) {
+    const url = target.currentSrc || target.src || target.href;
+    enqueue(buildReport('resource', `Failed to load ${target.tagName.toLowerCase()}`, url));
+    return;
+  }
+  enqueue(buildReport('uncaught', event.error || event.message));
+};
+
+const onRejection = (event) => enqueue(buildReport('unhandledrejection', event.reason));
+
+const recordClick = (event) => {
+  const target = event.target.closest?.('a, button, input, select, [role="button"]');
+  if (target) {
+    addBreadcrumb({ category: 'click', message: describeTarget(target) });
+  }
+};
+
+// A fragment change fires both hashchange and popstate; record it once
+const recordNavigation = () => {
+  const message = `${window.location.pathname}${window.location.hash}`;
+  const last = breadcrumbs[breadcrumbs.length - 1];
+
+  if (last?.category !== 'navigation' || last.message !== message) {
+    addBreadcrumb({ category: 'navigation', message });
+  }
+};
+
+/**
+ * Install the global handlers and breadcrumb recording.
+ * @param {{ endpoint?: string, batchSize?: number, flushInterval?: number,
+ *   maxPerMinute?: number, maxPerPage?: number }} [options]
+ * @returns {() => void} Remove the handlers
+ */
+export const initErrorReporter = (options = {}) => {
+  Object.assign(config, options);
+
+  if (!controller) {
+    controller = new AbortController();
+    const { signal } = controller;
+
+    window.addEventListener('error', onError, { capture: true, signal });
+    window.addEventListener('unhandledrejection', onRejection, { signal });
+    document.addEventListener('click', recordClick, { capture: true, signal });
+    window.addEventListener('hashchange', recordNavigation, { signal });
+    window.addEventListener('popstate', recordNavigation, { signal });
+    recordNavigation();
+
+    window.addEventListener('pagehide', flushErrors, { signal });
+    document.addEventListener(
+      'visibilitychange',
+      () => {
+        if (document.visibilityState === 'hidden') {
+          flushErrors();
+        }
+      },
+      { signal }
+    );
+  }
+
+  return () => {
+    controller?.abort();
+    controller = null;
+  };
+};
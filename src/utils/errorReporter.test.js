@@ -0,0 +1,191 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const sent = vi.hoisted(() => []);
+
+vi.mock('./analytics.js', () => ({
+  beaconSink: () => ({ send: (batch) => sent.push(...batch) }),
+}));
+
+const ENDPOINT = '/api/errors';
+
+// Fresh module state (queue, fingerprints, rate limit) for every test
+let reporter;
+let stop;
+
+const setup = async (options = {}, { consent = true } = {}) => {
+  vi.resetModules();
+  const { saveConsent } = await import('./consent.js');
+  reporter = await import('./errorReporter.js');
+
+  saveConsent({ analytics: consent });
+  stop = reporter.initErrorReporter({ endpoint: ENDPOINT, flushInterval: 1000, ...options });
+};
+
+// The same error object, so every capture has the same fingerprint
+const failure = new Error('Pricing failed');
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  sent.splice(0);
+  localStorage.clear();
+});
+
+afterEach(() => {
+  stop?.();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('parseStack', () => {
+  beforeEach(() => setup());
+
+  it('parses Chrome frames and normalizes same-origin files', () => {
+    const stack = [
+      'TypeError: x is undefined',
+      `    at render (${window.location.origin}/assets/js/main-abc.js?v=2:10:5)`,
+      '    at https://cdn.example.com/lib.js:1:200',
+    ].join('\n');
+
+    expect(reporter.parseStack(stack)).toEqual([
+      { fn: 'render', file: '/assets/js/main-abc.js', line: 10, column: 5 },
+      { fn: '<anonymous>', file: 'https://cdn.example.com/lib.js', line: 1, column: 200 },
+    ]);
+  });
+
+  it('parses Firefox and Safari frames', () => {
+    expect(reporter.parseStack(`update@${window.location.origin}/src/app.js:3:14`)).toEqual([
+      { fn: 'update', file: '/src/app.js', line: 3, column: 14 },
+    ]);
+  });
+
+  it('drops lines that are not frames', () => {
+    expect(reporter.parseStack('Error: boom\n    at <anonymous>')).toEqual([]);
+    expect(reporter.parseStack()).toEqual([]);
+  });
+});
+
+describe('deduplication', () => {
+  it('counts repeats of a queued report instead of queueing them', async () => {
+    await setup();
+
+    reporter.captureError(failure);
+    reporter.captureError(failure);
+    reporter.captureError(failure);
+    reporter.flushErrors();
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ type: 'caught', message: 'Pricing failed', count: 3 });
+    expect(sent[0].repeat).toBeUndefined();
+  });
+
+  it('sends repeats of an already-sent report as one repeat per batch', async () => {
+    await setup();
+
+    reporter.captureError(failure);
+    reporter.flushErrors();
+    reporter.captureError(failure);
+    reporter.captureError(failure);
+    reporter.flushErrors();
+
+    expect(sent.map(({ count, repeat }) => [count, Boolean(repeat)])).toEqual([
+      [1, false],
+      [2, true],
+    ]);
+  });
+
+  it('keeps different errors apart', async () => {
+    await setup();
+
+    reporter.captureError(new Error('a'));
+    reporter.captureError(new Error('b'));
+    reporter.flushErrors();
+
+    expect(sent.map(({ message }) => message)).toEqual(['a', 'b']);
+  });
+});
+
+describe('rate limiting', () => {
+  it('sends at most maxPerMinute reports a minute', async () => {
+    await setup({ maxPerMinute: 2 });
+
+    ['a', 'b', 'c'].forEach((message) => reporter.captureError(new Error(message)));
+    reporter.flushErrors();
+    expect(sent.map(({ message }) => message)).toEqual(['a', 'b']);
+
+    vi.advanceTimersByTime(61 * 1000);
+    reporter.captureError(new Error('d'));
+    reporter.flushErrors();
+    expect(sent.map(({ message }) => message)).toEqual(['a', 'b', 'd']);
+  });
+
+  it('counts repeats toward maxPerPage', async () => {
+    await setup({ maxPerPage: 3 });
+
+    // An error firing in a loop, with a flush window between occurrences
+    for (let i = 0; i < 10; i++) {
+      reporter.captureError(failure);
+      vi.advanceTimersByTime(1000);
+    }
+
+    expect(sent).toHaveLength(3);
+  });
+
+  it('flushes on its own after flushInterval', async () => {
+    await setup();
+
+    reporter.captureError(failure);
+    vi.advanceTimersByTime(999);
+    expect(sent).toHaveLength(0);
+    vi.advanceTimersByTime(1);
+    expect(sent).toHaveLength(1);
+  });
+});
+
+describe('consent', () => {
+  it('sends nothing without analytics consent', async () => {
+    await setup({}, { consent: false });
+
+    reporter.captureError(failure);
+    reporter.flushErrors();
+
+    expect(sent).toEqual([]);
+  });
+
+  it('drops what was queued before consent instead of sending it later', async () => {
+    await setup({}, { consent: false });
+    reporter.captureError(new Error('early'));
+    reporter.flushErrors();
+
+    const { saveConsent } = await import('./consent.js');
+    saveConsent({ analytics: true });
+    reporter.captureError(new Error('late'));
+    reporter.flushErrors();
+
+    expect(sent.map(({ message }) => message)).toEqual(['late']);
+  });
+});
+
+describe('global handlers', () => {
+  it('reports uncaught errors with the breadcrumbs before them', async () => {
+    await setup();
+
+    reporter.addBreadcrumb({ category: 'ui', message: 'opened menu' });
+    window.dispatchEvent(new ErrorEvent('error', { error: new Error('boom'), message: 'boom' }));
+    reporter.flushErrors();
+
+    expect(sent[0]).toMatchObject({ type: 'uncaught', message: 'boom' });
+    expect(sent[0].breadcrumbs.map(({ message }) => message)).toContain('opened menu');
+  });
+
+  it('stops reporting once removed', async () => {
+    await setup();
+
+    stop();
+    window.dispatchEvent(new ErrorEvent('error', { error: new Error('boom'), message: 'boom' }));
+    reporter.flushErrors();
+
+    expect(sent).toEqual([]);
+  });
+});
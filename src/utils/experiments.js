@@ -0,0 +1,171 @@
+/**
+ * A/B Experiments
+ *
+ * Experiments and their weighted variants are defined in
+ * `src/data/experiments.json`. A variant is a list of changes, each a CSS
+ * selector plus the i18n key its `data-i18n` should switch to, so variants
+ * work on the existing markup and in every locale.
+ *
+ * Visitors get a random ID, and the variant is picked by hashing it with the
+ * experiment ID: the same visitor always sees the same variant, and
+ * experiments are bucketed independently. Changing an experiment's weights
+ * reshuffles its visitors. The ID only lives in memory until the visitor
+ * gives `analytics` consent; then it is kept in localStorage, so the variant
+ * survives later visits (see `syncVisitorId()`). Without consent assignments
+ * are not sticky: every page view draws a new ID and may show another
+ * variant. That doesn't skew the results, because exposures are only tracked
+ * with consent, by which point the ID being stored is the one that was shown.
+ *
+ * `?exp_<id>=<variant>` forces a variant for QA. Every applied variant is
+ * reported to the `onExposure()` listeners once per `runExperiments()`.
+ *
+ * An inline script in index.html hides the hero until `runExperiments()` has
+ * run (with a timeout), so the original copy never flashes.
+ */
+
+import config from '../data/experiments.json';
+import { t } from '../i18n/index.js';
+
+import { hasConsent } from './consent.js';
+
+const VISITOR_KEY = 'visitorId';
+const QUERY_PREFIX = 'exp_';
+
+const exposureListeners = new Set();
+const exposures = [];
+
+const createId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+
+let visitorId = null;
+
+const readStoredId = () => {
+  try {
+    return localStorage.getItem(VISITOR_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store the visitor ID while there is `analytics` consent, and remove it
+ * when there isn't. Call it whenever consent changes.
+ */
+export const syncVisitorId = () => {
+  try {
+    if (!hasConsent('analytics')) {
+      localStorage.removeItem(VISITOR_KEY);
+    } else if (visitorId) {
+      localStorage.setItem(VISITOR_KEY, visitorId);
+    }
+  } catch {
+    // Without storage the visitor is bucketed afresh on every page view
+  }
+};
+
+/**
+ * The visitor ID used for bucketing: the stored one, or a new one for this
+ * page view.
+ * @returns {string}
+ */
+export const getVisitorId = () => {
+  if (!visitorId) {
+    visitorId = readStoredId() || createId();
+    syncVisitorId();
+  }
+  return visitorId;
+};
+
+// FNV-1a: a fast, well-spread 32-bit string hash, mapped onto [0, 1)
+const hashToUnit = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 2 ** 32;
+};
+
+/**
+ * Pick a variant for a bucketing key, in proportion to the variants' weights.
+ * @param {{ id: string, weight?: number }[]} variants
+ * @param {string} key
+ * @returns {string} The variant ID
+ */
+export const pickVariant = (variants, key) => {
+  const total = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+  let point = hashToUnit(key) * total;
+
+  const chosen = variants.find((variant) => {
+    point -= variant.weight ?? 1;
+    return point < 0;
+  });
+  return (chosen || variants[variants.length - 1]).id;
+};
+
+const findExperiment = (id) => config.experiments.find((experiment) => experiment.id === id);
+
+// A `?exp_<id>=` override naming one of the experiment's variants, if there is one
+const forcedVariant = (experiment) => {
+  const forced = new URLSearchParams(window.location.search).get(`${QUERY_PREFIX}${experiment.id}`);
+  return experiment.variants.some((variant) => variant.id === forced) ? forced : null;
+};
+
+/**
+ * The variant this visitor sees in an experiment, honouring `?exp_<id>=`.
+ * @param {string} experimentId
+ * @returns {string | null} The variant ID, or null for an unknown experiment
+ */
+export const getVariant = (experimentId) => {
+  const experiment = findExperiment(experimentId);
+  if (!experiment) {
+    return null;
+  }
+
+  const key = `${experimentId}:${getVisitorId()}`;
+  return forcedVariant(experiment) || pickVariant(experiment.variants, key);
+};
+
+/**
+ * Listen for exposures. Exposures that happened before subscribing are replayed.
+ * @param {(exposure: { experiment: string, variant: string, forced: boolean }) => void} callback
+ * @returns {() => void} Unsubscribe
+ */
+export const onExposure = (callback) => {
+  exposureListeners.add(callback);
+  exposures.forEach(callback);
+  return () => exposureListeners.delete(callback);
+};
+
+const applyChanges = (changes, root) => {
+  changes.forEach(({ selector, i18n }) => {
+    root.querySelectorAll(selector).forEach((element) => {
+      element.dataset.i18n = i18n;
+      element.textContent = t(i18n);
+    });
+  });
+};
+
+/**
+ * Apply every experiment's variant, report the exposures and reveal the page.
+ * @param {ParentNode} [root]
+ */
+export const runExperiments = (root = document) => {
+  // A re-run (feature re-init) replaces the exposures, so they're replayed once
+  exposures.splice(0);
+
+  config.experiments.forEach((experiment) => {
+    const variant = getVariant(experiment.id);
+    const { changes = [] } = experiment.variants.find(({ id }) => id === variant);
+
+    applyChanges(changes, root);
+
+    const forced = forcedVariant(experiment) !== null;
+    const exposure = { experiment: experiment.id, variant, forced };
+    exposures.push(exposure);
+    exposureListeners.forEach((callback) => callback(exposure));
+  });
+
+  document.documentElement.dataset.experiments = 'ready';
+};
@@ -0,0 +1,125 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+
+import config from '../data/experiments.json';
+
+import { saveConsent } from './consent.js';
+import {
+  getVisitorId,
+  onExposure,
+  pickVariant,
+  runExperiments,
+  syncVisitorId,
+} from './experiments.js';
+
+const KEYS = Array.from({ length: 4000 }, (_, i) => `visitor-${i}:hero-headline`);
+
+const shares = (variants) => {
+  const counts = {};
+  KEYS.forEach((key) => {
+    const id = pickVariant(variants, key);
+    counts[id] = (counts[id] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).map(([id, count]) => [id, count / KEYS.length]));
+};
+
+describe('pickVariant', () => {
+  it('gives the same key the same variant every time', () => {
+    const variants = [{ id: 'control' }, { id: 'a' }, { id: 'b' }];
+    KEYS.slice(0, 50).forEach((key) => {
+      expect(pickVariant(variants, key)).toBe(pickVariant([...variants], key));
+    });
+  });
+
+  it('splits evenly when no weights are given', () => {
+    const result = shares([{ id: 'control' }, { id: 'variant' }]);
+    expect(result.control).toBeCloseTo(0.5, 1);
+    expect(result.variant).toBeCloseTo(0.5, 1);
+  });
+
+  it('splits in proportion to the weights', () => {
+    const result = shares([
+      { id: 'control', weight: 3 },
+      { id: 'variant', weight: 1 },
+    ]);
+    expect(result.control).toBeCloseTo(0.75, 1);
+    expect(result.variant).toBeCloseTo(0.25, 1);
+  });
+
+  it('never picks a variant weighted zero', () => {
+    const result = shares([
+      { id: 'control', weight: 1 },
+      { id: 'paused', weight: 0 },
+      { id: 'variant', weight: 1 },
+    ]);
+    expect(result.paused).toBeUndefined();
+  });
+
+  it('buckets the same visitor independently per experiment', () => {
+    const variants = [{ id: 'control' }, { id: 'variant' }];
+    const differs = KEYS.slice(0, 200).some(
+      (key) => pickVariant(variants, key) !== pickVariant(variants, key.replace('hero', 'cta'))
+    );
+    expect(differs).toBe(true);
+  });
+});
+
+describe('getVisitorId', () => {
+  it('keeps the ID in memory until analytics consent, then stores it', () => {
+    const id = getVisitorId();
+
+    expect(getVisitorId()).toBe(id);
+    expect(localStorage.getItem('visitorId')).toBeNull();
+
+    saveConsent({ analytics: true });
+    syncVisitorId();
+    expect(localStorage.getItem('visitorId')).toBe(id);
+
+    saveConsent({ analytics: false });
+    syncVisitorId();
+    expect(localStorage.getItem('visitorId')).toBeNull();
+    expect(getVisitorId()).toBe(id);
+  });
+});
+
+describe('runExperiments', () => {
+  it('reports each exposure once per run, even after a re-run', () => {
+    runExperiments(document);
+    runExperiments(document);
+
+    const exposures = [];
+    const unsubscribe = onExposure((exposure) => exposures.push(exposure));
+    unsubscribe();
+
+    expect(exposures.map(({ experiment }) => experiment)).toEqual(
+      config.experiments.map(({ id }) => id)
+    );
+  });
+});
+
+describe('assignment across page views', () => {
+  // A page view is a fresh module instance over the same localStorage
+  const pageView = () => {
+    vi.resetModules();
+    return import('./experiments.js');
+  };
+
+  it('is not sticky without analytics consent', async () => {
+    localStorage.clear();
+
+    const first = (await pageView()).getVisitorId();
+    const second = (await pageView()).getVisitorId();
+
+    expect(second).not.toBe(first);
+  });
+
+  it('is sticky once analytics consent is given', async () => {
+    localStorage.clear();
+    saveConsent({ analytics: true });
+
+    const first = (await pageView()).getVisitorId();
+    const second = (await pageView()).getVisitorId();
+
+    expect(second).toBe(first);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Field Error Rendering
+ *
+ * Renders an inline message below a form control and links it up for
+ * assistive technology via `aria-invalid` and `aria-describedby`.
+ */
+
+const errorId = (field) => `${field.id || field.name}-error`;
+
+const findField = (form, name) => form.elements.namedItem(name);
+
+/**
+ * Show an error message for a field.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} field
+ * @param {string} message
+ */
+export const setFieldError = (field, message) => {
+  const id = errorId(field);
+  let error = document.getElementById(id);
+
+  if (!error) {
+    error = document.createElement('p');
+    error.id = id;
+    error.className = 'field-error';
+    field.insertAdjacentElement('afterend', error);
+  }
+
+  error.textContent = message;
+  field.setAttribute('aria-invalid', 'true');
+  field.closest('.form-group')?.classList.add('has-error');
+
+  const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+  if (!describedBy.includes(id)) {
+    field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+  }
+};
+
+/**
+ * Remove the error message from a field.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} field
+ */
+export const clearFieldError = (field) => {
+  const id = errorId(field);
+  document.getElementById(id)?.remove();
+  field.removeAttribute('aria-invalid');
+  field.closest('.form-group')?.classList.remove('has-error');
+
+  const describedBy = (field.getAttribute('aria-describedby') || '')
+    .split(' ')
+    .filter((token) => token && token !== id);
+
+  if (describedBy.length) {
+    field.setAttribute('aria-describedby', describedBy.join(' '));
+  } else {
+    field.removeAttribute('aria-describedby');
+  }
+};
+
+/**
+ * Map `{ fieldName: message }` errors (e.g. from the server) onto a form.
+ * @param {HTMLFormElement} form
+ * @param {Record<string, string>} errors
+ * @returns {HTMLElement | null} The first field that received an error
+ */
+export const applyFieldErrors = (form, errors) => {
+  let first = null;
+
+  Object.entries(errors).forEach(([name, message]) => {
+    const field = findField(form, name);
+    if (field instanceof HTMLElement) {
+      setFieldError(field, message);
+      first = first || field;
+    }
+  });
+
+  return first;
+};
+
+/**
+ * Clear every error currently shown on a form.
+ * @param {HTMLFormElement} form
+ */
+export const clearFieldErrors = (form) => {
+  form.querySelectorAll('[aria-invalid="true"]').forEach((field) => clearFieldError(field));
+};
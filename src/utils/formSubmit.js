@@ -0,0 +1,126 @@
+/**
+ * Form Submission Client
+ *
+ * Posts a form's fields as JSON to the endpoint configured for that form:
+ * - `data-endpoint` on the <form>, falling back to `VITE_FORM_ENDPOINT`
+ * - `data-timeout` (ms) and `data-retries` override the defaults per form
+ *
+ * Network errors, timeouts and 5xx responses are retried with exponential
+ * backoff. 4xx responses are not retried; their field-level errors are
+ * exposed on the thrown `FormSubmissionError`.
+ */
+
+const DEFAULT_ENDPOINT = import.meta.env.VITE_FORM_ENDPOINT || '/api/signup';
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+
+export class FormSubmissionError extends Error {
+  constructor(message, { status = 0, fieldErrors = {}, retryable = false } = {}) {
+    super(message);
+    this.name = 'FormSubmissionError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with a little jitter so retries from many clients spread out
+const backoffDelay = (attempt) => BACKOFF_BASE * 2 ** attempt + Math.random() * BACKOFF_BASE;
+
+/**
+ * Serialize a form into a plain object. Repeated names become arrays.
+ * @param {HTMLFormElement} form
+ * @returns {Record<string, string | string[]>}
+ */
+export const serializeForm = (form) => {
+  const data = {};
+
+  new FormData(form).forEach((value, key) => {
+    if (value instanceof File) {
+      return;
+    }
+    if (key in data) {
+      data[key] = [].concat(data[key], value);
+    } else {
+      data[key] = value;
+    }
+  });
+
+  return data;
+};
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch {
+    return {};
+  }
+};
+
+const postOnce = async (endpoint, data, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify(data),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    const timedOut = error.name === 'AbortError';
+    throw new FormSubmissionError(timedOut ? 'Request timed out' : 'Network error', {
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await readJson(response);
+
+  if (!response.ok) {
+    throw new FormSubmissionError(body.message || `Request failed with status ${response.status}`, {
+      status: response.status,
+      fieldErrors: body.errors || {},
+      retryable: response.status >= 500,
+    });
+  }
+
+  return body;
+};
+
+// `data-retries="0"` must disable retries, so only a missing attribute means the default
+const datasetNumber = (form, name, fallback) =>
+  form.dataset[name] !== undefined ? Number(form.dataset[name]) : fallback;
+
+/**
+ * Submit a form to its configured endpoint.
+ * @param {HTMLFormElement} form
+ * @param {{ endpoint?: string, timeout?: number, retries?: number, data?: object }} [options]
+ * @returns {Promise<object>} Parsed JSON response body
+ */
+export const submitForm = async (form, options = {}) => {
+  const endpoint = options.endpoint || form.dataset.endpoint || DEFAULT_ENDPOINT;
+  const timeout = options.timeout ?? datasetNumber(form, 'timeout', DEFAULT_TIMEOUT);
+  const retries = options.retries ?? datasetNumber(form, 'retries', DEFAULT_RETRIES);
+  const data = options.data || serializeForm(form);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await postOnce(endpoint, data, timeout);
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+      await wait(backoffDelay(attempt));
+    }
+  }
+};
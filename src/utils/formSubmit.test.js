@@ -0,0 +1,162 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { FormSubmissionError, serializeForm, submitForm } from './formSubmit.js';
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+// A fetch that only settles when its request is aborted
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+
+const createForm = (attributes = {}) => {
+  const form = document.createElement('form');
+  form.innerHTML = `
+    <input name="email" value="fan@example.com">
+    <input type="checkbox" name="leagues" value="serie-a" checked>
+    <input type="checkbox" name="leagues" value="la-liga" checked>
+  `;
+  Object.entries(attributes).forEach(([name, value]) => form.setAttribute(name, value));
+  return form;
+};
+
+// Run the submission to completion, including every backoff and timeout timer
+const settle = async (promise) => {
+  const result = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await vi.runAllTimersAsync();
+  return result;
+};
+
+let fetchMock;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  fetchMock = vi.fn();
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('serializeForm', () => {
+  it('turns repeated names into arrays', () => {
+    expect(serializeForm(createForm())).toEqual({
+      email: 'fan@example.com',
+      leagues: ['serie-a', 'la-liga'],
+    });
+  });
+});
+
+describe('submitForm', () => {
+  it('posts the fields as JSON to the form endpoint', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { id: 7 }));
+
+    const { value } = await settle(submitForm(createForm({ 'data-endpoint': '/api/test' })));
+
+    expect(value).toEqual({ id: 7 });
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/test');
+    expect(request.method).toBe('POST');
+    expect(JSON.parse(request.body)).toEqual({
+      email: 'fan@example.com',
+      leagues: ['serie-a', 'la-liga'],
+    });
+  });
+
+  it('retries 5xx responses and succeeds when the server recovers', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockResolvedValueOnce(jsonResponse(500))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    const { value } = await settle(submitForm(createForm()));
+
+    expect(value).toEqual({ ok: true });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after the configured retries', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(502));
+
+    const { error } = await settle(submitForm(createForm(), { retries: 1 }));
+
+    expect(error).toBeInstanceOf(FormSubmissionError);
+    expect(error).toMatchObject({ status: 502, retryable: true });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries network errors', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(200));
+
+    const { error } = await settle(submitForm(createForm()));
+
+    expect(error).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry 4xx responses and exposes their field errors', async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse(422, { message: 'Invalid', errors: { email: 'Already registered' } })
+    );
+
+    const { error } = await settle(submitForm(createForm()));
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(error).toMatchObject({
+      message: 'Invalid',
+      status: 422,
+      retryable: false,
+      fieldErrors: { email: 'Already registered' },
+    });
+  });
+
+  it('aborts a request that takes longer than the timeout', async () => {
+    fetchMock.mockImplementation(hangingFetch);
+
+    const submission = submitForm(createForm(), { timeout: 1000, retries: 0 }).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(1);
+    const error = await submission;
+    expect(error).toMatchObject({ message: 'Request timed out', retryable: true });
+  });
+
+  it('reads the timeout and retries from data attributes', async () => {
+    fetchMock.mockImplementation(hangingFetch);
+
+    const form = createForm({ 'data-timeout': '200', 'data-retries': '1' });
+    const submission = submitForm(form).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+
+    await vi.runAllTimersAsync();
+    const error = await submission;
+    expect(error.message).toBe('Request timed out');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry when data-retries is 0', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(500));
+
+    const { error } = await settle(submitForm(createForm({ 'data-retries': '0' })));
+
+    expect(error.status).toBe(500);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Inline Icons
+ *
+ * SVG markup for the icons that carry meaning on their own: a control's only
+ * visible content, or rating stars. The Font Awesome stylesheet loads only
+ * with functional consent, so these can't rely on it: before consent or after
+ * "Reject all" they would render empty. Icons take the text colour and are
+ * hidden from assistive tech; the surrounding label carries the meaning.
+ */
+
+const STAR = 'M12 3l2.8 5.7 6.2.9-4.5 4.4 1.1 6.2L12 17.3l-5.6 2.9 1.1-6.2L3 9.6l6.2-.9z';
+const STAR_LEFT_HALF = 'M12 3L9.2 8.7 3 9.6l4.5 4.4-1.1 6.2L12 17.3z';
+
+const PATHS = {
+  bars: 'M4 6h16M4 12h16M4 18h16',
+  xmark: 'M6 6l12 12M18 6L6 18',
+  sun:
+    'M12 8a4 4 0 1 0 0 8 4 4 0 0 0 0-8zM12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4' +
+    'M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4',
+  moon: 'M21 12.8A9 9 0 1 1 11.2 3 7 7 0 0 0 21 12.8z',
+  'circle-half-stroke': 'M12 3a9 9 0 1 0 0 18 9 9 0 0 0 0-18zM12 3v18',
+  'chevron-left': 'M15 18l-6-6 6-6',
+  'chevron-right': 'M9 18l6-6-6-6',
+  play: 'M7 4l13 8-13 8z',
+  pause: 'M7 4v16M17 4v16',
+  check: 'M4 12.5l5 5L20 6.5',
+  minus: 'M5 12h14',
+  star: STAR,
+  'star-half': STAR,
+  'star-empty': STAR,
+};
+
+// Solid areas drawn under an icon's outline
+const FILLS = {
+  star: STAR,
+  'star-half': STAR_LEFT_HALF,
+};
+
+/**
+ * @param {keyof typeof PATHS} name
+ * @returns {string} an `<svg>` sized to the surrounding text
+ */
+export const icon = (name) => `<svg class="icon icon-${name}" viewBox="0 0 24 24" width="1em" height="1em"
+  fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"
+  aria-hidden="true" focusable="false">${
+    FILLS[name] ? `<path d="${FILLS[name]}" fill="currentColor" stroke="none"/>` : ''
+  }<path d="${PATHS[name]}"/></svg>`;
@@ -0,0 +1,83 @@
+/**
+ * Jurisdiction Settings
+ *
+ * The site is configured for one jurisdiction with `VITE_JURISDICTION`
+ * (default `uk`). It sets the minimum age the age gate asks for, the
+ * support service named in the responsible-gambling notice, and whether
+ * betting-specific copy may be shown at all.
+ *
+ * Where it may not, markup opts in with `data-betting-copy`:
+ * - `data-betting-copy="hide"` removes the element
+ * - `data-betting-copy="neutral"` swaps its `data-i18n` key for the
+ *   `neutral.<key>` message, e.g. `hero.subtitle` → `neutral.hero.subtitle`
+ */
+
+import { t } from '../i18n/index.js';
+
+export const JURISDICTIONS = {
+  uk: {
+    minimumAge: 18,
+    bettingCopy: true,
+    support: { name: 'BeGambleAware', url: 'https://www.begambleaware.org' },
+  },
+  es: {
+    minimumAge: 18,
+    bettingCopy: true,
+    support: { name: 'Jugar Bien', url: 'https://www.jugarbien.es' },
+  },
+  de: {
+    minimumAge: 18,
+    bettingCopy: true,
+    support: { name: 'Check dein Spiel', url: 'https://www.check-dein-spiel.de' },
+  },
+  // Gambling advertising is banned outright (Decreto Dignità)
+  it: {
+    minimumAge: 18,
+    bettingCopy: false,
+    support: { name: 'Gambling Therapy', url: 'https://www.gamblingtherapy.org' },
+  },
+  us: {
+    minimumAge: 21,
+    bettingCopy: true,
+    support: { name: '1-800-GAMBLER', url: 'https://www.ncpgambling.org' },
+  },
+};
+
+const DEFAULT_JURISDICTION = 'uk';
+
+const configured = String(import.meta.env.VITE_JURISDICTION || '').toLowerCase();
+
+/**
+ * The configured jurisdiction code, e.g. `uk`.
+ * @returns {string}
+ */
+export const getJurisdictionCode = () =>
+  configured in JURISDICTIONS ? configured : DEFAULT_JURISDICTION;
+
+/**
+ * Settings for the configured jurisdiction.
+ * @returns {{ minimumAge: number, bettingCopy: boolean, support: { name: string, url: string } }}
+ */
+export const getJurisdiction = () => JURISDICTIONS[getJurisdictionCode()];
+
+/**
+ * Record the jurisdiction on `<html data-jurisdiction>` and hide or neutralize
+ * betting copy where it isn't allowed.
+ * @param {ParentNode} [root]
+ */
+export const applyJurisdiction = (root = document) => {
+  document.documentElement.dataset.jurisdiction = getJurisdictionCode();
+
+  if (getJurisdiction().bettingCopy) {
+    return;
+  }
+
+  root.querySelectorAll('[data-betting-copy]').forEach((element) => {
+    if (element.dataset.bettingCopy === 'hide') {
+      element.hidden = true;
+    } else if (element.dataset.i18n && !element.dataset.i18n.startsWith('neutral.')) {
+      element.dataset.i18n = `neutral.${element.dataset.i18n}`;
+      element.textContent = t(element.dataset.i18n);
+    }
+  });
+};
@@ -0,0 +1,250 @@
+/**
+ * Lazy Images
+ *
+ * Loads images as they come near the viewport:
+ * - `<img data-src data-srcset data-sizes>`
+ * - `<picture>`: `data-srcset` on its `<source>`s and `data-src` on its `<img>`
+ * - any element with `data-bg`, for a CSS background image
+ *
+ * The image is fetched off-screen and only swapped in once it has loaded, so
+ * a low-quality `src` or background stays up as a placeholder until then
+ * (add `blur-up` to blur it). The element then gets `loaded`, or, after every
+ * retry has failed, `error` and a fallback image. Retries back off
+ * exponentially: `retryDelay`, then twice that, and so on.
+ *
+ * Elements added or given new `data-*` URLs later are picked up by a
+ * MutationObserver. Elements gated with `data-consent` wait for that consent.
+ * Browsers without IntersectionObserver load every image straight away.
+ *
+ * `getLazyImageStats()` counts hits (loaded before reaching the viewport) and
+ * misses (the visitor saw the placeholder), plus retries and failures.
+ */
+
+import { hasConsent } from './consent.js';
+import { captureError } from './errorReporter.js';
+
+const SELECTOR = 'img[data-src], img[data-srcset], [data-bg]';
+const LAZY_ATTRIBUTES = ['data-src', 'data-srcset', 'data-bg'];
+
+const FALLBACK_IMAGE =
+  'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600"%3E' +
+  '%3Crect fill="%23f0f0f0" width="800" height="600"/%3E%3Ctext x="50%25" y="50%25" ' +
+  'text-anchor="middle" fill="%23999" font-family="sans-serif" font-size="24"%3E' +
+  'Image unavailable%3C/text%3E%3C/svg%3E';
+
+const DEFAULTS = {
+  retries: 3,
+  retryDelay: 1000,
+  rootMargin: '200px 0px',
+  fallback: FALLBACK_IMAGE,
+};
+
+const stats = { hits: 0, misses: 0, retries: 0, failures: 0 };
+
+/**
+ * How lazy loading has fared on this page so far.
+ * @returns {{ hits: number, misses: number, retries: number, failures: number }}
+ */
+export const getLazyImageStats = () => ({ ...stats });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isAllowed = (el) => !el.dataset.consent || hasConsent(el.dataset.consent);
+
+// Move `data-<name>` to `<name>` on an element
+const promote = (el, name) => {
+  const value = el.getAttribute(`data-${name}`);
+  if (value !== null) {
+    el.setAttribute(name, value);
+    el.removeAttribute(`data-${name}`);
+  }
+};
+
+const promoteImage = (img) => {
+  if (img.parentElement?.tagName === 'PICTURE') {
+    img.parentElement.querySelectorAll('source').forEach((source) => {
+      promote(source, 'srcset');
+      promote(source, 'sizes');
+    });
+  }
+  // srcset before src so the browser doesn't start fetching the fallback first
+  ['sizes', 'srcset', 'src'].forEach((name) => promote(img, name));
+};
+
+/**
+ * A detached image that fetches what the element will show. For `<picture>`
+ * the whole picture is cloned so the browser picks the same source.
+ */
+const createProbe = (el) => {
+  if (el.dataset.bg) {
+    const probe = new Image();
+    probe.src = el.dataset.bg;
+    return probe;
+  }
+
+  const picture = el.parentElement?.tagName === 'PICTURE' ? el.parentElement.cloneNode(true) : null;
+  const probe = picture ? picture.querySelector('img') : el.cloneNode();
+  probe.removeAttribute('loading');
+  promoteImage(probe);
+  return probe;
+};
+
+const fetchImage = (el) =>
+  new Promise((resolve, reject) => {
+    const probe = createProbe(el);
+    if (probe.complete && probe.naturalWidth) {
+      resolve();
+      return;
+    }
+    probe.addEventListener('load', resolve, { once: true });
+    probe.addEventListener('error', reject, { once: true });
+  });
+
+const fetchWithRetry = async (el, settings, attempt = 0) => {
+  try {
+    await fetchImage(el);
+  } catch (error) {
+    if (attempt >= settings.retries) {
+      throw error;
+    }
+    stats.retries++;
+    await wait(settings.retryDelay * 2 ** attempt);
+    await fetchWithRetry(el, settings, attempt + 1);
+  }
+};
+
+// Without IntersectionObserver every element counts as in view as soon as it is observed
+const createObserver = (callback, options) => {
+  if ('IntersectionObserver' in window) {
+    return new IntersectionObserver(callback, options);
+  }
+  return {
+    observe: (target) => callback([{ target, isIntersecting: true }]),
+    unobserve: () => {},
+    disconnect: () => {},
+  };
+};
+
+const isInViewport = (el) => {
+  const { top, bottom, left, right } = el.getBoundingClientRect();
+  return bottom > 0 && right > 0 && top < window.innerHeight && left < window.innerWidth;
+};
+
+const showImage = (el) => {
+  if (isInViewport(el)) {
+    stats.misses++;
+  } else {
+    stats.hits++;
+  }
+
+  if (el.dataset.bg) {
+    el.style.backgroundImage = `url("${el.dataset.bg}")`;
+    el.removeAttribute('data-bg');
+  } else {
+    promoteImage(el);
+  }
+  el.classList.add('loaded');
+};
+
+const showFallback = (el, fallback) => {
+  const url = el.dataset.bg || el.dataset.src || el.dataset.srcset;
+  captureError(new Error(`Failed to load image: ${url}`));
+  stats.failures++;
+
+  LAZY_ATTRIBUTES.forEach((name) => el.removeAttribute(name));
+  if (el.tagName === 'IMG') {
+    el.removeAttribute('srcset');
+    el.src = fallback;
+  }
+  el.classList.add('error');
+};
+
+/**
+ * Start lazy loading every matching element in `root`, now and as it changes.
+ * @param {{ root?: ParentNode, retries?: number, retryDelay?: number, rootMargin?: string,
+ *   fallback?: string }} [options]
+ * @returns {() => void} Stop observing
+ */
+export const initLazyImages = (options = {}) => {
+  const { root = document, ...settings } = { ...DEFAULTS, ...options };
+  const inFlight = new WeakSet();
+  // Visible elements waiting for consent
+  const waiting = new Set();
+
+  const load = (el) => {
+    inFlight.add(el);
+    fetchWithRetry(el, settings)
+      .then(() => showImage(el))
+      .catch(() => showFallback(el, settings.fallback))
+      .finally(() => inFlight.delete(el));
+  };
+
+  const intersectionObserver = createObserver(
+    (entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        if (!isIntersecting) {
+          return;
+        }
+        if (!isAllowed(target)) {
+          waiting.add(target);
+          return;
+        }
+        waiting.delete(target);
+        intersectionObserver.unobserve(target);
+        load(target);
+      });
+    },
+    { rootMargin: settings.rootMargin, threshold: 0.01 }
+  );
+
+  const observe = (node) => {
+    if (!node.querySelectorAll) {
+      return;
+    }
+    const elements = [...node.querySelectorAll(SELECTOR)];
+    if (node.matches?.(SELECTOR)) {
+      elements.push(node);
+    }
+    elements
+      .filter((el) => !inFlight.has(el))
+      .forEach((el) => intersectionObserver.observe(el));
+  };
+
+  const mutationObserver = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'attributes') {
+        observe(mutation.target);
+      } else {
+        mutation.addedNodes.forEach(observe);
+      }
+    });
+  });
+
+  // Re-observing fires a fresh intersection entry for each waiting element
+  const onConsentChange = () => {
+    waiting.forEach((el) => {
+      intersectionObserver.unobserve(el);
+      if (el.isConnected) {
+        intersectionObserver.observe(el);
+      } else {
+        waiting.delete(el);
+      }
+    });
+  };
+
+  observe(root);
+  mutationObserver.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: LAZY_ATTRIBUTES,
+  });
+  document.addEventListener('consentchange', onConsentChange);
+
+  return () => {
+    intersectionObserver.disconnect();
+    mutationObserver.disconnect();
+    document.removeEventListener('consentchange', onConsentChange);
+    waiting.clear();
+  };
+};
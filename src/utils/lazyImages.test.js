@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { saveConsent } from './consent.js';
+import { getLazyImageStats, initLazyImages } from './lazyImages.js';
+
+vi.mock('./errorReporter.js', () => ({ captureError: () => {} }));
+
+// jsdom fetches no images: settle each one from its URL instead
+const broken = new Set();
+
+const FALLBACK = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+let stop;
+
+// Let the loads and the MutationObserver run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  const { addEventListener: listen } = EventTarget.prototype;
+  vi.spyOn(HTMLImageElement.prototype, 'addEventListener').mockImplementation(
+    function (type, listener, options) {
+      const url = this.getAttribute('src') || this.getAttribute('srcset');
+      if ((type === 'error') === broken.has(url)) {
+        setTimeout(() => listener(new Event(type)));
+      }
+      listen.call(this, type, listener, options);
+    }
+  );
+  broken.clear();
+  saveConsent({ analytics: false, functional: false });
+});
+
+afterEach(() => {
+  stop?.();
+  vi.restoreAllMocks();
+});
+
+describe('without IntersectionObserver', () => {
+  it('is what jsdom provides', () => {
+    expect('IntersectionObserver' in window).toBe(false);
+  });
+
+  it('loads every image straight away', async () => {
+    document.body.innerHTML = `
+      <img id="plain" src="tiny.jpg" data-src="photo.jpg" data-srcset="photo-2x.jpg 2x">
+      <picture>
+        <source data-srcset="photo.webp" type="image/webp">
+        <img id="picture" data-src="photo.jpg">
+      </picture>
+      <div id="hero" data-bg="hero.jpg"></div>
+    `;
+    stop = initLazyImages({ root: document.body });
+    await settle();
+
+    const plain = document.getElementById('plain');
+    expect(plain.getAttribute('src')).toBe('photo.jpg');
+    expect(plain.getAttribute('srcset')).toBe('photo-2x.jpg 2x');
+    expect(plain.classList.contains('loaded')).toBe(true);
+
+    expect(document.querySelector('source').getAttribute('srcset')).toBe('photo.webp');
+    expect(document.getElementById('picture').getAttribute('src')).toBe('photo.jpg');
+
+    const hero = document.getElementById('hero');
+    expect(hero.style.backgroundImage).toBe('url("hero.jpg")');
+    expect(hero.hasAttribute('data-bg')).toBe(false);
+  });
+
+  it('loads images added later', async () => {
+    stop = initLazyImages({ root: document.body });
+    document.body.innerHTML = '<img data-src="later.jpg">';
+    await settle();
+
+    expect(document.querySelector('img').getAttribute('src')).toBe('later.jpg');
+  });
+
+  it('holds consent-gated images until consent is given', async () => {
+    document.body.innerHTML = '<img data-src="avatar.jpg" data-consent="functional">';
+    stop = initLazyImages({ root: document.body });
+    await settle();
+
+    const img = document.querySelector('img');
+    expect(img.hasAttribute('src')).toBe(false);
+
+    saveConsent({ analytics: false, functional: true });
+    await settle();
+    expect(img.getAttribute('src')).toBe('avatar.jpg');
+  });
+
+  it('retries, then shows the fallback', async () => {
+    broken.add('missing.jpg');
+    const { retries, failures } = getLazyImageStats();
+    document.body.innerHTML = '<img data-src="missing.jpg">';
+
+    stop = initLazyImages({ root: document.body, retries: 2, retryDelay: 1, fallback: FALLBACK });
+    await settle();
+
+    const img = document.querySelector('img');
+    expect(img.getAttribute('src')).toBe(FALLBACK);
+    expect(img.classList.contains('error')).toBe(true);
+    expect(img.hasAttribute('data-src')).toBe(false);
+    expect(getLazyImageStats()).toMatchObject({ retries: retries + 2, failures: failures + 1 });
+  });
+
+  it('stops picking up images once stopped', async () => {
+    initLazyImages({ root: document.body })();
+    document.body.innerHTML = '<img data-src="later.jpg">';
+    await settle();
+
+    expect(document.querySelector('img').hasAttribute('src')).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Motion Preference
+ *
+ * Decides whether the page animates. In `system` mode this follows
+ * `prefers-reduced-motion` and reacts when it changes; `reduce` and `full`
+ * override it either way. The mode is persisted in localStorage and the
+ * result is written to `<html data-motion="reduce|full">`, which the
+ * stylesheets key their reduced-motion rules on.
+ *
+ * Scripted animations should check `prefersReducedMotion()` before starting
+ * and listen for `motionchange` to stop ones already running. The inline
+ * script in index.html applies the saved mode before first paint; keep
+ * STORAGE_KEY and the resolution logic in sync with it.
+ */
+
+export const MOTION_MODES = ['system', 'reduce', 'full'];
+
+const STORAGE_KEY = 'motion';
+
+const reduceQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+let currentMode = 'system';
+
+const readMode = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return MOTION_MODES.includes(stored) ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+/**
+ * The selected mode: `system`, `reduce` or `full`.
+ * @returns {string}
+ */
+export const getMotionMode = () => currentMode;
+
+/**
+ * Whether animations should be skipped in favour of their end state.
+ * @returns {boolean}
+ */
+export const prefersReducedMotion = () => {
+  if (currentMode === 'system') {
+    return reduceQuery.matches;
+  }
+  return currentMode === 'reduce';
+};
+
+/**
+ * The scroll behavior to use for a scroll that would otherwise be `behavior`.
+ * @param {ScrollBehavior} [behavior]
+ * @returns {ScrollBehavior}
+ */
+export const scrollBehavior = (behavior = 'smooth') => (prefersReducedMotion() ? 'auto' : behavior);
+
+const applyMotion = () => {
+  const reduced = prefersReducedMotion();
+  document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+  const detail = { mode: currentMode, reduced };
+  document.dispatchEvent(new CustomEvent('motionchange', { detail }));
+};
+
+/**
+ * Select and persist a motion mode.
+ * @param {'system' | 'reduce' | 'full'} mode
+ */
+export const setMotionMode = (mode) => {
+  currentMode = MOTION_MODES.includes(mode) ? mode : 'system';
+
+  try {
+    localStorage.setItem(STORAGE_KEY, currentMode);
+  } catch {
+    // Storage may be unavailable (private mode); the choice just won't persist
+  }
+
+  applyMotion();
+};
+
+/**
+ * Apply the saved mode and follow system changes while in `system` mode.
+ * @param {{ signal?: AbortSignal }} [options] aborting stops following system changes
+ */
+export const initMotion = ({ signal } = {}) => {
+  currentMode = readMode();
+  applyMotion();
+
+  reduceQuery.addEventListener(
+    'change',
+    () => {
+      if (currentMode === 'system') {
+        applyMotion();
+      }
+    },
+    { signal }
+  );
+};
@@ -0,0 +1,163 @@
+/**
+ * Odds and Staking Maths
+ *
+ * Conversions between decimal (2.50), fractional (3/2) and American (+150)
+ * odds, implied probabilities and bookmaker margin, and stake suggestions
+ * for flat, fixed-percentage and fractional-Kelly staking. Decimal odds are
+ * the common currency: parsers return them and formatters take them. Pure
+ * functions only, so they can be imported anywhere.
+ */
+
+export const ODDS_FORMATS = ['decimal', 'fractional', 'american'];
+
+const MAX_DENOMINATOR = 100;
+
+const FRACTIONAL_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*[/-]\s*(\d+(?:\.\d+)?)\s*$/;
+const AMERICAN_PATTERN = /^\s*([+-]?)\s*(\d+(?:\.\d+)?)\s*$/;
+
+const isValidDecimal = (decimal) => Number.isFinite(decimal) && decimal > 1;
+
+/**
+ * Parse odds written in `format` into decimal odds.
+ * @param {string} value
+ * @param {'decimal' | 'fractional' | 'american'} format
+ * @returns {number} Decimal odds, or NaN when the value isn't valid odds
+ */
+export const parseOdds = (value, format) => {
+  const text = String(value).trim();
+  let decimal = NaN;
+
+  if (format === 'decimal' && /^\d+(?:\.\d+)?$/.test(text)) {
+    decimal = Number(text);
+  } else if (format === 'fractional') {
+    const match = text.match(FRACTIONAL_PATTERN);
+    decimal = match && Number(match[2]) > 0 ? 1 + Number(match[1]) / Number(match[2]) : NaN;
+  } else if (format === 'american') {
+    const match = text.match(AMERICAN_PATTERN);
+    const line = match ? Number(match[2]) : NaN;
+
+    // Lines between -100 and +100 don't exist; both ends mean evens
+    if (line >= 100) {
+      decimal = match[1] === '-' ? 1 + 100 / line : 1 + line / 100;
+    }
+  }
+
+  return isValidDecimal(decimal) ? decimal : NaN;
+};
+
+// Best fraction with a denominator up to MAX_DENOMINATOR (Stern-Brocot search)
+const approximateFraction = (value) => {
+  let [lowerN, lowerD, upperN, upperD] = [Math.floor(value), 1, Math.floor(value) + 1, 1];
+  let best = [lowerN, lowerD];
+
+  while (lowerD + upperD <= MAX_DENOMINATOR) {
+    const [n, d] = [lowerN + upperN, lowerD + upperD];
+    if (Math.abs(n / d - value) < Math.abs(best[0] / best[1] - value)) {
+      best = [n, d];
+    }
+    if (n / d === value) {
+      break;
+    }
+    if (n / d < value) {
+      [lowerN, lowerD] = [n, d];
+    } else {
+      [upperN, upperD] = [n, d];
+    }
+  }
+
+  if (Math.abs(upperN / upperD - value) < Math.abs(best[0] / best[1] - value)) {
+    best = [upperN, upperD];
+  }
+  return best;
+};
+
+/**
+ * Write decimal odds in `format`: "2.50", "3/2" or "+150".
+ * @param {number} decimal
+ * @param {'decimal' | 'fractional' | 'american'} format
+ * @returns {string}
+ */
+export const formatOdds = (decimal, format) => {
+  if (!isValidDecimal(decimal)) {
+    return '';
+  }
+
+  if (format === 'fractional') {
+    const [numerator, denominator] = approximateFraction(decimal - 1);
+    return `${numerator}/${denominator}`;
+  }
+  if (format === 'american') {
+    return decimal >= 2
+      ? `+${Math.round((decimal - 1) * 100)}`
+      : `-${Math.round(100 / (decimal - 1))}`;
+  }
+  return decimal.toFixed(2);
+};
+
+/**
+ * Probability implied by decimal odds, including the bookmaker's margin.
+ * @param {number} decimal
+ * @returns {number}
+ */
+export const impliedProbability = (decimal) => 1 / decimal;
+
+/**
+ * Implied and margin-free probabilities for a complete market (e.g. home/draw/away).
+ * @param {number[]} decimals Decimal odds for every outcome
+ * @returns {{ implied: number[], fair: number[], margin: number }}
+ *   `margin` is the overround: how far the implied probabilities add up past 100%
+ */
+export const marketMargin = (decimals) => {
+  const implied = decimals.map(impliedProbability);
+  const book = implied.reduce((sum, probability) => sum + probability, 0);
+
+  return {
+    implied,
+    fair: implied.map((probability) => probability / book),
+    margin: book - 1,
+  };
+};
+
+/**
+ * Expected profit per unit staked: positive when the odds beat the probability.
+ * @param {number} probability Your estimate of the outcome's probability (0-1)
+ * @param {number} decimal
+ * @returns {number}
+ */
+export const edge = (probability, decimal) => probability * decimal - 1;
+
+/**
+ * Share of the bankroll the Kelly criterion stakes, never below zero.
+ * @param {number} probability
+ * @param {number} decimal
+ * @returns {number}
+ */
+export const kellyFraction = (probability, decimal) =>
+  Math.max(edge(probability, decimal) / (decimal - 1), 0);
+
+/**
+ * Stakes suggested by each staking strategy.
+ * @param {{
+ *   bankroll: number,
+ *   probability: number,
+ *   decimal: number,
+ *   flatStake: number,
+ *   percentage: number,
+ *   kellyMultiplier: number
+ * }} options `percentage` is a fraction of the bankroll (0.02 = 2%);
+ *   `kellyMultiplier` scales full Kelly (0.25 = quarter Kelly)
+ * @returns {{ flat: number, percentage: number, kelly: number, edge: number }}
+ */
+export const suggestStakes = ({
+  bankroll,
+  probability,
+  decimal,
+  flatStake,
+  percentage,
+  kellyMultiplier,
+}) => ({
+  flat: Math.min(flatStake, bankroll),
+  percentage: bankroll * percentage,
+  kelly: bankroll * kellyFraction(probability, decimal) * kellyMultiplier,
+  edge: edge(probability, decimal),
+});
@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  edge,
+  formatOdds,
+  impliedProbability,
+  kellyFraction,
+  marketMargin,
+  parseOdds,
+  suggestStakes,
+} from './odds.js';
+
+describe('parseOdds', () => {
+  it('reads every format as decimal odds', () => {
+    expect(parseOdds('2.50', 'decimal')).toBe(2.5);
+    expect(parseOdds('3/2', 'fractional')).toBe(2.5);
+    expect(parseOdds('3-2', 'fractional')).toBe(2.5);
+    expect(parseOdds('+150', 'american')).toBe(2.5);
+    expect(parseOdds('-200', 'american')).toBe(1.5);
+    expect(parseOdds('150', 'american')).toBe(2.5);
+  });
+
+  it('treats both +100 and -100 as evens', () => {
+    expect(parseOdds('+100', 'american')).toBe(2);
+    expect(parseOdds('-100', 'american')).toBe(2);
+  });
+
+  it('rejects values that are not odds', () => {
+    ['', 'abc', '1', '0.5', '-2'].forEach((value) => {
+      expect(parseOdds(value, 'decimal')).toBeNaN();
+    });
+    ['3/0', '0/1', '3:2'].forEach((value) => {
+      expect(parseOdds(value, 'fractional')).toBeNaN();
+    });
+    ['+99', '-50', '0'].forEach((value) => {
+      expect(parseOdds(value, 'american')).toBeNaN();
+    });
+  });
+});
+
+describe('formatOdds', () => {
+  it('writes decimal odds in every format', () => {
+    expect(formatOdds(2.5, 'decimal')).toBe('2.50');
+    expect(formatOdds(2.5, 'fractional')).toBe('3/2');
+    expect(formatOdds(2.5, 'american')).toBe('+150');
+    expect(formatOdds(1.5, 'american')).toBe('-200');
+  });
+
+  it('writes evens as +100', () => {
+    expect(formatOdds(2, 'american')).toBe('+100');
+    expect(formatOdds(2, 'fractional')).toBe('1/1');
+  });
+
+  it('approximates awkward fractions with a small denominator', () => {
+    expect(formatOdds(1 + 1 / 3, 'fractional')).toBe('1/3');
+    expect(formatOdds(1.91, 'fractional')).toBe('91/100');
+  });
+
+  it('writes nothing for invalid odds', () => {
+    expect(formatOdds(NaN, 'decimal')).toBe('');
+    expect(formatOdds(1, 'american')).toBe('');
+  });
+
+  it.each([
+    ['decimal', '1.25'],
+    ['decimal', '11.00'],
+    ['fractional', '1/4'],
+    ['fractional', '5/2'],
+    ['fractional', '100/30'],
+    ['american', '+100'],
+    ['american', '+250'],
+    ['american', '-110'],
+    ['american', '-400'],
+  ])('round-trips %s odds %s', (format, value) => {
+    const decimal = parseOdds(value, format);
+    const formatted = formatOdds(decimal, format);
+
+    expect(parseOdds(formatted, format)).toBeCloseTo(decimal, 10);
+  });
+
+  it('round-trips -100 to its canonical +100', () => {
+    expect(formatOdds(parseOdds('-100', 'american'), 'american')).toBe('+100');
+  });
+});
+
+describe('marketMargin', () => {
+  it('measures the overround and removes it from the fair probabilities', () => {
+    const { implied, fair, margin } = marketMargin([2, 3.5, 4]);
+
+    expect(implied).toEqual([0.5, 1 / 3.5, 0.25]);
+    expect(margin).toBeCloseTo(0.5 + 1 / 3.5 + 0.25 - 1);
+    expect(fair.reduce((sum, probability) => sum + probability, 0)).toBeCloseTo(1);
+    expect(fair[0] / fair[2]).toBeCloseTo(2);
+  });
+
+  it('is zero for a fair book', () => {
+    expect(marketMargin([2, 2]).margin).toBe(0);
+  });
+});
+
+describe('edge and Kelly', () => {
+  it('computes the expected profit per unit', () => {
+    expect(impliedProbability(4)).toBe(0.25);
+    expect(edge(0.5, 2.2)).toBeCloseTo(0.1);
+    expect(edge(0.4, 2)).toBeCloseTo(-0.2);
+  });
+
+  it('stakes the Kelly fraction when there is an edge', () => {
+    expect(kellyFraction(0.5, 2.2)).toBeCloseTo(0.1 / 1.2);
+  });
+
+  it('never stakes below zero', () => {
+    expect(kellyFraction(0.4, 2)).toBe(0);
+    expect(kellyFraction(0, 10)).toBe(0);
+    expect(kellyFraction(0.5, 2)).toBe(0);
+  });
+
+  it('suggests a stake for each strategy', () => {
+    const stakes = suggestStakes({
+      bankroll: 1000,
+      probability: 0.5,
+      decimal: 2.2,
+      flatStake: 10,
+      percentage: 0.02,
+      kellyMultiplier: 0.25,
+    });
+
+    expect(stakes.flat).toBe(10);
+    expect(stakes.percentage).toBe(20);
+    expect(stakes.kelly).toBeCloseTo((1000 * 0.25 * 0.1) / 1.2);
+    expect(stakes.edge).toBeCloseTo(0.1);
+  });
+
+  it('caps the flat stake at the bankroll and suggests no Kelly stake without an edge', () => {
+    const stakes = suggestStakes({
+      bankroll: 5,
+      probability: 0.3,
+      decimal: 2,
+      flatStake: 10,
+      percentage: 0.02,
+      kellyMultiplier: 1,
+    });
+
+    expect(stakes.flat).toBe(5);
+    expect(stakes.kelly).toBe(0);
+  });
+});
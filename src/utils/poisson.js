@@ -0,0 +1,115 @@
+/**
+ * Independent-Poisson Scoreline Model
+ *
+ * Each side's goals are modelled as an independent Poisson variable whose
+ * mean is the league scoring average scaled by the attacking side's attack
+ * rating and the defending side's defence rating. Ratings are multipliers
+ * around 1.0 (league average): attack > 1 scores more, defence > 1 concedes
+ * more. Pure functions only, so they can be imported anywhere.
+ */
+
+const DEFAULT_MAX_GOALS = 10;
+const DEFAULT_LEAGUE_AVERAGE = { home: 1.5, away: 1.2 };
+
+/**
+ * Probability of exactly `k` events for a Poisson distribution with mean `lambda`.
+ * @param {number} k
+ * @param {number} lambda
+ * @returns {number}
+ */
+export const poissonProbability = (k, lambda) => {
+  if (k < 0 || !Number.isInteger(k)) {
+    return 0;
+  }
+
+  // Build lambda^k / k! incrementally to avoid overflowing the factorial
+  let probability = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) {
+    probability *= lambda / i;
+  }
+  return probability;
+};
+
+/**
+ * Expected goals for each side.
+ * @param {{ attack: number, defence: number }} homeTeam
+ * @param {{ attack: number, defence: number }} awayTeam
+ * @param {{ home: number, away: number }} [leagueAverage] Mean goals per game for home and away sides
+ * @returns {{ home: number, away: number }}
+ */
+export const expectedGoals = (homeTeam, awayTeam, leagueAverage = DEFAULT_LEAGUE_AVERAGE) => ({
+  home: leagueAverage.home * homeTeam.attack * awayTeam.defence,
+  away: leagueAverage.away * awayTeam.attack * homeTeam.defence,
+});
+
+/**
+ * Joint scoreline probabilities, `matrix[h][a]` = P(home scores h, away scores a).
+ * @param {number} homeGoals Expected home goals
+ * @param {number} awayGoals Expected away goals
+ * @param {number} [maxGoals]
+ * @returns {number[][]}
+ */
+export const scorelineMatrix = (homeGoals, awayGoals, maxGoals = DEFAULT_MAX_GOALS) => {
+  const home = Array.from({ length: maxGoals + 1 }, (_, k) => poissonProbability(k, homeGoals));
+  const away = Array.from({ length: maxGoals + 1 }, (_, k) => poissonProbability(k, awayGoals));
+
+  return home.map((homeP) => away.map((awayP) => homeP * awayP));
+};
+
+/**
+ * Predict a match.
+ * @param {{ attack: number, defence: number }} homeTeam
+ * @param {{ attack: number, defence: number }} awayTeam
+ * @param {{ leagueAverage?: { home: number, away: number }, maxGoals?: number, topScorelines?: number }} [options]
+ * @returns {{
+ *   expectedGoals: { home: number, away: number },
+ *   probabilities: { home: number, draw: number, away: number },
+ *   scorelines: { home: number, away: number, probability: number }[],
+ *   outcome: 'home' | 'draw' | 'away',
+ *   confidence: number
+ * }}
+ */
+export const predictMatch = (homeTeam, awayTeam, options = {}) => {
+  const { leagueAverage, maxGoals = DEFAULT_MAX_GOALS, topScorelines = 3 } = options;
+  const goals = expectedGoals(homeTeam, awayTeam, leagueAverage);
+  const matrix = scorelineMatrix(goals.home, goals.away, maxGoals);
+
+  const totals = { home: 0, draw: 0, away: 0 };
+  const scorelines = [];
+
+  matrix.forEach((row, h) => {
+    row.forEach((probability, a) => {
+      if (h > a) {
+        totals.home += probability;
+      } else if (h === a) {
+        totals.draw += probability;
+      } else {
+        totals.away += probability;
+      }
+      scorelines.push({ home: h, away: a, probability });
+    });
+  });
+
+  // Renormalise to absorb the tail truncated at maxGoals
+  const mass = totals.home + totals.draw + totals.away;
+  const probabilities = {
+    home: totals.home / mass,
+    draw: totals.draw / mass,
+    away: totals.away / mass,
+  };
+
+  const [outcome, confidence] = Object.entries(probabilities).reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  );
+
+  return {
+    expectedGoals: goals,
+    probabilities,
+    scorelines: scorelines
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, topScorelines)
+      .map((scoreline) => ({ ...scoreline, probability: scoreline.probability / mass })),
+    outcome,
+    confidence,
+  };
+};
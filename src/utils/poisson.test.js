@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+
+import { expectedGoals, poissonProbability, predictMatch, scorelineMatrix } from './poisson.js';
+
+const AVERAGE_TEAM = { attack: 1, defence: 1 };
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('poissonProbability', () => {
+  it('matches the closed form', () => {
+    expect(poissonProbability(0, 1.5)).toBeCloseTo(Math.exp(-1.5), 12);
+    expect(poissonProbability(2, 1.5)).toBeCloseTo((Math.exp(-1.5) * 1.5 ** 2) / 2, 12);
+  });
+
+  it('is zero for negative or fractional counts', () => {
+    expect(poissonProbability(-1, 1.5)).toBe(0);
+    expect(poissonProbability(1.5, 1.5)).toBe(0);
+  });
+
+  it('sums to 1 over enough goals', () => {
+    const probabilities = Array.from({ length: 30 }, (_, k) => poissonProbability(k, 2.7));
+    expect(sum(probabilities)).toBeCloseTo(1, 10);
+  });
+});
+
+describe('expectedGoals', () => {
+  it('scales the league average by attack and defence', () => {
+    const goals = expectedGoals(
+      { attack: 1.2, defence: 0.8 },
+      { attack: 0.9, defence: 1.1 },
+      { home: 1.5, away: 1.2 }
+    );
+    expect(goals.home).toBeCloseTo(1.5 * 1.2 * 1.1);
+    expect(goals.away).toBeCloseTo(1.2 * 0.9 * 0.8);
+  });
+});
+
+describe('scorelineMatrix', () => {
+  it('holds the joint probability of every scoreline up to maxGoals', () => {
+    const matrix = scorelineMatrix(1.4, 1.1, 4);
+    expect(matrix).toHaveLength(5);
+    expect(matrix[0]).toHaveLength(5);
+    expect(matrix[2][1]).toBeCloseTo(poissonProbability(2, 1.4) * poissonProbability(1, 1.1));
+  });
+
+  it('loses only the truncated tail', () => {
+    const total = sum(scorelineMatrix(1.4, 1.1).flat());
+    expect(total).toBeLessThan(1);
+    expect(total).toBeGreaterThan(0.9999);
+  });
+});
+
+describe('predictMatch', () => {
+  it('returns 1X2 probabilities that sum to 1', () => {
+    const { probabilities } = predictMatch({ attack: 1.3, defence: 0.9 }, AVERAGE_TEAM);
+    expect(probabilities.home + probabilities.draw + probabilities.away).toBeCloseTo(1, 12);
+  });
+
+  it('still sums to 1 when few goals are modelled', () => {
+    const { probabilities } = predictMatch(AVERAGE_TEAM, AVERAGE_TEAM, { maxGoals: 2 });
+    expect(probabilities.home + probabilities.draw + probabilities.away).toBeCloseTo(1, 12);
+  });
+
+  it('favours the stronger side', () => {
+    const prediction = predictMatch({ attack: 1.6, defence: 0.7 }, { attack: 0.7, defence: 1.4 });
+    expect(prediction.outcome).toBe('home');
+    expect(prediction.confidence).toBe(prediction.probabilities.home);
+    expect(prediction.probabilities.home).toBeGreaterThan(prediction.probabilities.away);
+  });
+
+  it('lists the most likely scorelines first', () => {
+    const { scorelines } = predictMatch(AVERAGE_TEAM, AVERAGE_TEAM, { topScorelines: 5 });
+    expect(scorelines).toHaveLength(5);
+    expect(scorelines[0]).toMatchObject({ home: 1, away: 1 });
+    scorelines.slice(1).forEach((scoreline, i) => {
+      expect(scoreline.probability).toBeLessThanOrEqual(scorelines[i].probability);
+    });
+  });
+
+  it('returns three scorelines by default', () => {
+    expect(predictMatch(AVERAGE_TEAM, AVERAGE_TEAM).scorelines).toHaveLength(3);
+  });
+});
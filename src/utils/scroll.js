@@ -0,0 +1,26 @@
+/**
+ * Scroll Helpers
+ *
+ * In-page scrolling shared by anchor links and deep links, offset so the
+ * target isn't hidden under the fixed header. Smooth scrolling becomes an
+ * instant jump when the visitor prefers reduced motion.
+ */
+
+import { scrollBehavior } from './motion.js';
+
+export const HEADER_OFFSET = 80;
+
+/**
+ * Scroll an element to just below the fixed header.
+ * @param {Element} target
+ * @param {{ behavior?: ScrollBehavior }} [options]
+ */
+export const scrollToElement = (target, { behavior = 'smooth' } = {}) => {
+  const elementPosition = target.getBoundingClientRect().top;
+  const offsetPosition = elementPosition + window.pageYOffset - HEADER_OFFSET;
+
+  window.scrollTo({
+    top: offsetPosition,
+    behavior: scrollBehavior(behavior),
+  });
+};
@@ -0,0 +1,73 @@
+/**
+ * Scroll Manager
+ *
+ * One passive scroll (and resize) listener for the whole page. Work is
+ * coalesced into a single requestAnimationFrame per frame, the scroll
+ * position is read once, and every subscriber gets the same snapshot:
+ *
+ *   { y, previousY, direction: 'up' | 'down' | 'none', viewportHeight, documentHeight }
+ */
+
+const subscribers = new Set();
+
+let previousY = window.scrollY;
+let frame = null;
+let listening = false;
+
+const directionOf = (y, lastY) => {
+  if (y > lastY) {
+    return 'down';
+  }
+  return y < lastY ? 'up' : 'none';
+};
+
+const snapshot = () => {
+  const y = window.scrollY;
+  const state = {
+    y,
+    previousY,
+    direction: directionOf(y, previousY),
+    viewportHeight: window.innerHeight,
+    documentHeight: document.documentElement.scrollHeight,
+  };
+  previousY = y;
+  return state;
+};
+
+const run = () => {
+  frame = null;
+  const state = snapshot();
+  subscribers.forEach((callback) => callback(state));
+};
+
+const requestRun = () => {
+  if (frame === null) {
+    frame = requestAnimationFrame(run);
+  }
+};
+
+const listen = () => {
+  if (!listening) {
+    listening = true;
+    window.addEventListener('scroll', requestRun, { passive: true });
+    window.addEventListener('resize', requestRun, { passive: true });
+  }
+};
+
+/**
+ * Call `callback` once per frame while the page scrolls or resizes.
+ * @param {(state: object) => void} callback
+ * @param {{ immediate?: boolean }} [options] Also run on the next frame (default true)
+ * @returns {() => void} Unsubscribe
+ */
+export const onScroll = (callback, { immediate = true } = {}) => {
+  subscribers.add(callback);
+  listen();
+
+  // Subscribers only react to state, so running all of them once more is harmless
+  if (immediate) {
+    requestRun();
+  }
+
+  return () => subscribers.delete(callback);
+};
@@ -0,0 +1,24 @@
+/**
+ * Structured Data
+ *
+ * Publishes schema.org JSON-LD in the document head. Each block has an id so
+ * re-rendering replaces it instead of adding duplicates.
+ */
+
+/**
+ * Create or replace the JSON-LD script with the given id.
+ * @param {string} id
+ * @param {object} data
+ */
+export const setJsonLd = (id, data) => {
+  let script = document.getElementById(id);
+
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = id;
+    document.head.appendChild(script);
+  }
+
+  script.textContent = JSON.stringify({ '@context': 'https://schema.org', ...data });
+};
@@ -0,0 +1,88 @@
+/**
+ * Theme Controller
+ *
+ * Supports `light`, `dark` and `system` modes. The mode is persisted in
+ * localStorage; `system` follows `prefers-color-scheme` and reacts when it
+ * changes. The resolved theme is written to `<html data-theme>`, which the
+ * stylesheets key their dark palette on.
+ *
+ * An inline script in index.html applies the saved theme before first paint
+ * to avoid a flash; keep STORAGE_KEY and the resolution logic in sync with it.
+ */
+
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+const STORAGE_KEY = 'theme';
+const THEME_COLORS = { light: '#2563eb', dark: '#111827' };
+
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+let currentMode = 'system';
+
+const readMode = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return THEME_MODES.includes(stored) ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+/**
+ * The selected mode: `light`, `dark` or `system`.
+ * @returns {string}
+ */
+export const getThemeMode = () => currentMode;
+
+/**
+ * The theme actually shown: `light` or `dark`.
+ * @returns {string}
+ */
+export const getResolvedTheme = () => {
+  if (currentMode === 'system') {
+    return darkQuery.matches ? 'dark' : 'light';
+  }
+  return currentMode;
+};
+
+const applyTheme = () => {
+  const theme = getResolvedTheme();
+  document.documentElement.dataset.theme = theme;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme]);
+  document.dispatchEvent(new CustomEvent('themechange', { detail: { mode: currentMode, theme } }));
+};
+
+/**
+ * Select and persist a theme mode.
+ * @param {'light' | 'dark' | 'system'} mode
+ */
+export const setThemeMode = (mode) => {
+  currentMode = THEME_MODES.includes(mode) ? mode : 'system';
+
+  try {
+    localStorage.setItem(STORAGE_KEY, currentMode);
+  } catch {
+    // Storage may be unavailable (private mode); the choice just won't persist
+  }
+
+  applyTheme();
+};
+
+/**
+ * Apply the saved mode and follow system changes while in `system` mode.
+ * @param {{ signal?: AbortSignal }} [options] aborting stops following system changes
+ */
+export const initTheme = ({ signal } = {}) => {
+  currentMode = readMode();
+  applyTheme();
+
+  darkQuery.addEventListener(
+    'change',
+    () => {
+      if (currentMode === 'system') {
+        applyTheme();
+      }
+    },
+    { signal }
+  );
+};
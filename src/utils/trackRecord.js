@@ -0,0 +1,145 @@
+/**
+ * Track Record Metrics
+ *
+ * Scores historical predictions against actual results. Each record has the
+ * model's 1X2 probabilities, the market odds at kickoff and the result:
+ *
+ *   { date: '2026-03-14', league: 'serie-a',
+ *     probabilities: { home, draw, away }, odds: { home, draw, away }, result: 'home' }
+ *
+ * The pick is the outcome with the highest probability; ROI assumes a flat
+ * one-unit stake on every pick at the quoted odds.
+ */
+
+const OUTCOMES = ['home', 'draw', 'away'];
+
+// Guards log loss against a zero probability on the actual result
+const EPSILON = 1e-15;
+
+/**
+ * The outcome the model rates most likely.
+ * @param {{ home: number, draw: number, away: number }} probabilities
+ * @returns {'home' | 'draw' | 'away'}
+ */
+export const pickOutcome = (probabilities) =>
+  OUTCOMES.reduce((best, outcome) => (probabilities[outcome] > probabilities[best] ? outcome : best));
+
+/**
+ * Multi-class Brier score for one prediction (0 is perfect, 2 is worst).
+ */
+export const brierScore = ({ probabilities, result }) =>
+  OUTCOMES.reduce((sum, outcome) => sum + (probabilities[outcome] - (outcome === result ? 1 : 0)) ** 2, 0);
+
+/**
+ * Negative log likelihood of the actual result.
+ */
+export const logLoss = ({ probabilities, result }) =>
+  -Math.log(Math.min(Math.max(probabilities[result], EPSILON), 1 - EPSILON));
+
+/**
+ * Profit in units from a flat one-unit stake on the pick.
+ */
+export const flatStakeProfit = (record) => {
+  const pick = pickOutcome(record.probabilities);
+  return pick === record.result ? record.odds[pick] - 1 : -1;
+};
+
+/**
+ * Aggregate metrics for a set of predictions.
+ * @param {object[]} records
+ * @returns {{ count: number, hits: number, hitRate: number, brier: number,
+ *   logLoss: number, profit: number, roi: number }}
+ */
+export const summarize = (records) => {
+  const count = records.length;
+
+  if (!count) {
+    return { count: 0, hits: 0, hitRate: 0, brier: 0, logLoss: 0, profit: 0, roi: 0 };
+  }
+
+  const totals = records.reduce(
+    (acc, record) => ({
+      hits: acc.hits + (pickOutcome(record.probabilities) === record.result ? 1 : 0),
+      brier: acc.brier + brierScore(record),
+      logLoss: acc.logLoss + logLoss(record),
+      profit: acc.profit + flatStakeProfit(record),
+    }),
+    { hits: 0, brier: 0, logLoss: 0, profit: 0 }
+  );
+
+  return {
+    count,
+    hits: totals.hits,
+    hitRate: totals.hits / count,
+    brier: totals.brier / count,
+    logLoss: totals.logLoss / count,
+    profit: totals.profit,
+    roi: totals.profit / count,
+  };
+};
+
+/**
+ * Summarize records grouped by a key, in order of first appearance.
+ * @param {object[]} records
+ * @param {(record: object) => string} keyOf
+ * @returns {{ key: string, summary: ReturnType<typeof summarize> }[]}
+ */
+export const summarizeBy = (records, keyOf) => {
+  const groups = new Map();
+
+  records.forEach((record) => {
+    const key = keyOf(record);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+
+  return [...groups].map(([key, group]) => ({ key, summary: summarize(group) }));
+};
+
+export const byLeague = (records) => summarizeBy(records, (record) => record.league);
+
+export const byMonth = (records) =>
+  summarizeBy(
+    [...records].sort((a, b) => a.date.localeCompare(b.date)),
+    (record) => record.date.slice(0, 7)
+  );
+
+/**
+ * Reliability buckets: every outcome probability is placed in a bucket and
+ * compared with how often that outcome actually happened.
+ * @param {object[]} records
+ * @param {number} [bucketCount]
+ * @returns {{ lower: number, upper: number, predicted: number, observed: number, count: number }[]}
+ *   Only buckets that contain at least one probability are returned.
+ */
+export const calibration = (records, bucketCount = 10) => {
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    lower: i / bucketCount,
+    upper: (i + 1) / bucketCount,
+    sum: 0,
+    hits: 0,
+    count: 0,
+  }));
+
+  records.forEach(({ probabilities, result }) => {
+    OUTCOMES.forEach((outcome) => {
+      const probability = probabilities[outcome];
+      const bucket = buckets[Math.min(Math.floor(probability * bucketCount), bucketCount - 1)];
+      bucket.sum += probability;
+      bucket.hits += outcome === result ? 1 : 0;
+      bucket.count += 1;
+    });
+  });
+
+  return buckets
+    .filter((bucket) => bucket.count)
+    .map(({ lower, upper, sum, hits, count }) => ({
+      lower,
+      upper,
+      predicted: sum / count,
+      observed: hits / count,
+      count,
+    }));
+};
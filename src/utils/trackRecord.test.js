@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  brierScore,
+  byLeague,
+  byMonth,
+  calibration,
+  flatStakeProfit,
+  logLoss,
+  pickOutcome,
+  summarize,
+} from './trackRecord.js';
+
+const record = (probabilities, result, overrides = {}) => ({
+  date: '2026-03-14',
+  league: 'serie-a',
+  probabilities,
+  odds: { home: 2, draw: 3.4, away: 4 },
+  result,
+  ...overrides,
+});
+
+const HOME_WIN = record({ home: 0.5, draw: 0.3, away: 0.2 }, 'home');
+const DRAW = record({ home: 0.5, draw: 0.3, away: 0.2 }, 'draw');
+
+describe('pickOutcome', () => {
+  it('picks the most likely outcome', () => {
+    expect(pickOutcome({ home: 0.2, draw: 0.3, away: 0.5 })).toBe('away');
+  });
+
+  it('keeps the earlier outcome on a tie', () => {
+    expect(pickOutcome({ home: 0.4, draw: 0.4, away: 0.2 })).toBe('home');
+  });
+});
+
+describe('brierScore', () => {
+  it('sums the squared errors over all three outcomes', () => {
+    expect(brierScore(HOME_WIN)).toBeCloseTo(0.5 ** 2 + 0.3 ** 2 + 0.2 ** 2);
+  });
+
+  it('is 0 for a certain, correct prediction and 2 for a certain, wrong one', () => {
+    expect(brierScore(record({ home: 1, draw: 0, away: 0 }, 'home'))).toBe(0);
+    expect(brierScore(record({ home: 1, draw: 0, away: 0 }, 'away'))).toBe(2);
+  });
+});
+
+describe('logLoss', () => {
+  it('is the negative log of the probability given to the result', () => {
+    expect(logLoss(DRAW)).toBeCloseTo(-Math.log(0.3));
+  });
+
+  it('stays finite when the result was given no chance', () => {
+    const loss = logLoss(record({ home: 1, draw: 0, away: 0 }, 'draw'));
+    expect(Number.isFinite(loss)).toBe(true);
+    expect(loss).toBeGreaterThan(30);
+  });
+});
+
+describe('flatStakeProfit', () => {
+  it('wins the odds minus the stake when the pick comes in', () => {
+    expect(flatStakeProfit(HOME_WIN)).toBe(1);
+  });
+
+  it('loses the stake otherwise', () => {
+    expect(flatStakeProfit(DRAW)).toBe(-1);
+  });
+});
+
+describe('summarize', () => {
+  it('averages the scores and turns profit into ROI', () => {
+    const summary = summarize([HOME_WIN, DRAW]);
+
+    expect(summary).toMatchObject({ count: 2, hits: 1, hitRate: 0.5, profit: 0, roi: 0 });
+    expect(summary.brier).toBeCloseTo((brierScore(HOME_WIN) + brierScore(DRAW)) / 2);
+    expect(summary.logLoss).toBeCloseTo((-Math.log(0.5) - Math.log(0.3)) / 2);
+  });
+
+  it('reports ROI per unit staked', () => {
+    const longShot = record({ home: 0.2, draw: 0.2, away: 0.6 }, 'away');
+    expect(summarize([longShot, DRAW, DRAW]).roi).toBeCloseTo((3 - 1 - 1) / 3);
+  });
+
+  it('is all zeros without records', () => {
+    expect(summarize([])).toEqual({
+      count: 0,
+      hits: 0,
+      hitRate: 0,
+      brier: 0,
+      logLoss: 0,
+      profit: 0,
+      roi: 0,
+    });
+  });
+});
+
+describe('grouping', () => {
+  it('groups by league in order of first appearance', () => {
+    const records = [HOME_WIN, { ...DRAW, league: 'la-liga' }, DRAW];
+    expect(byLeague(records).map(({ key, summary }) => [key, summary.count])).toEqual([
+      ['serie-a', 2],
+      ['la-liga', 1],
+    ]);
+  });
+
+  it('groups by month in date order', () => {
+    const records = [{ ...HOME_WIN, date: '2026-04-02' }, DRAW, { ...DRAW, date: '2026-03-01' }];
+    expect(byMonth(records).map(({ key, summary }) => [key, summary.count])).toEqual([
+      ['2026-03', 2],
+      ['2026-04', 1],
+    ]);
+  });
+});
+
+describe('calibration', () => {
+  it('places every outcome probability in a bucket', () => {
+    const buckets = calibration([HOME_WIN, DRAW]);
+
+    expect(buckets.map(({ lower }) => lower)).toEqual([0.2, 0.3, 0.5]);
+    expect(buckets.reduce((total, bucket) => total + bucket.count, 0)).toBe(6);
+  });
+
+  it('compares the mean predicted probability with the observed frequency', () => {
+    const [away, draw, home] = calibration([HOME_WIN, DRAW]);
+
+    expect(home).toMatchObject({ lower: 0.5, upper: 0.6, count: 2, observed: 0.5 });
+    expect(home.predicted).toBeCloseTo(0.5);
+    expect(draw).toMatchObject({ count: 2, observed: 0.5 });
+    expect(away).toMatchObject({ count: 2, observed: 0 });
+  });
+
+  it('puts a probability of 1 in the top bucket', () => {
+    const buckets = calibration([record({ home: 1, draw: 0, away: 0 }, 'home')], 4);
+    expect(buckets.map(({ lower, count }) => [lower, count])).toEqual([
+      [0, 2],
+      [0.75, 1],
+    ]);
+  });
+});
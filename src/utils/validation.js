@@ -0,0 +1,204 @@
+/**
+ * Declarative Form Validation
+ *
+ * Rules are read from attributes on each control:
+ * - `required` / `data-required`
+ * - `type="email"` / `data-email`
+ * - `data-minlength`, `data-maxlength`
+ * - `data-pattern` (matched against the whole value)
+ * - `data-match="otherFieldName"`
+ * - `data-async="ruleName"` for checks registered with `registerAsyncRule`
+ *
+ * Any message can be overridden per field with `data-error-<rule>`,
+ * e.g. `data-error-minlength="Use at least 8 characters"`.
+ */
+
+import { t } from '../i18n/index.js';
+
+import { clearFieldError, setFieldError } from './fieldErrors.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]), textarea, select';
+
+const DEFAULT_MESSAGES = {
+  required: () => t('validation.required'),
+  email: () => t('validation.email'),
+  minlength: (length) => t('validation.minlength', { count: Number(length) }),
+  maxlength: (length) => t('validation.maxlength', { count: Number(length) }),
+  pattern: () => t('validation.pattern'),
+  match: () => t('validation.match'),
+};
+
+const asyncRules = new Map();
+
+/**
+ * Register a named asynchronous check, referenced with `data-async="name"`.
+ * The check resolves to an error message, or to null when the value is valid.
+ * @param {string} name
+ * @param {(value: string, field: HTMLElement, signal: AbortSignal) => Promise<string | null>} check
+ */
+export const registerAsyncRule = (name, check) => {
+  asyncRules.set(name, check);
+};
+
+const message = (field, rule, arg) => {
+  const override = field.dataset[`error${rule[0].toUpperCase()}${rule.slice(1)}`];
+  return override || DEFAULT_MESSAGES[rule](arg);
+};
+
+const fieldValue = (field) => {
+  if (field.type === 'checkbox') {
+    return field.checked ? 'on' : '';
+  }
+  return field.value.trim();
+};
+
+// An invalid `data-pattern` is a markup bug; ignore it rather than break the whole form
+const failsPattern = (value, pattern) => {
+  try {
+    return !new RegExp(`^(?:${pattern})$`).test(value);
+  } catch {
+    return false;
+  }
+};
+
+// Synchronous rules in the order they are checked; each returns true when the value fails
+const SYNC_RULES = [
+  ['email', (value, field) => (field.type === 'email' || 'email' in field.dataset) && !EMAIL_PATTERN.test(value)],
+  ['minlength', (value, { dataset }) => dataset.minlength && value.length < Number(dataset.minlength)],
+  ['maxlength', (value, { dataset }) => dataset.maxlength && value.length > Number(dataset.maxlength)],
+  ['pattern', (value, { dataset }) => dataset.pattern && failsPattern(value, dataset.pattern)],
+  [
+    'match',
+    (_value, field, form) => {
+      const other = field.dataset.match && form.elements.namedItem(field.dataset.match);
+      return Boolean(other) && other.value !== field.value;
+    },
+  ],
+];
+
+// Returns the first failing synchronous rule as an error message, or null
+const checkSyncRules = (field, form) => {
+  const value = fieldValue(field);
+
+  if (!value) {
+    return field.required || 'required' in field.dataset ? message(field, 'required') : null;
+  }
+
+  const failed = SYNC_RULES.find(([, fails]) => fails(value, field, form));
+  return failed ? message(field, failed[0], field.dataset[failed[0]]) : null;
+};
+
+/**
+ * Attach validation to a form. Fields are validated on blur and, once
+ * flagged, re-validated as the user types so errors clear immediately.
+ * @param {HTMLFormElement} form
+ */
+export const createFormValidator = (form) => {
+  const pending = new WeakMap();
+  // The most recent validation of each field, which supersedes any earlier one
+  const latest = new WeakMap();
+
+  form.setAttribute('novalidate', '');
+
+  const runValidation = async (field) => {
+    pending.get(field)?.abort();
+
+    let error = checkSyncRules(field, form);
+    const check = asyncRules.get(field.dataset.async);
+
+    if (!error && check && field.value.trim()) {
+      const controller = new AbortController();
+      pending.set(field, controller);
+      field.setAttribute('aria-busy', 'true');
+
+      try {
+        error = await check(field.value.trim(), field, controller.signal);
+      } catch (checkError) {
+        /*
+         * Superseded by a newer check: that one's result is this field's result. Otherwise the
+         * service is down (the server re-validates anyway).
+         */
+        if (checkError.name === 'AbortError') {
+          return latest.get(field);
+        }
+        error = null;
+      } finally {
+        if (pending.get(field) === controller) {
+          pending.delete(field);
+          field.removeAttribute('aria-busy');
+        }
+      }
+    }
+
+    if (error) {
+      setFieldError(field, error);
+      return false;
+    }
+
+    clearFieldError(field);
+    return true;
+  };
+
+  /**
+   * Validate a single field and render or clear its message.
+   * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} field
+   * @returns {Promise<boolean>}
+   */
+  const validateField = (field) => {
+    const result = runValidation(field);
+    latest.set(field, result);
+    return result;
+  };
+
+  /**
+   * Validate every field in the form.
+   * @returns {Promise<{ valid: boolean, firstInvalid: HTMLElement | null }>}
+   */
+  const validateForm = async () => {
+    const fields = [...form.querySelectorAll(FIELD_SELECTOR)].filter((field) => !field.disabled);
+    const results = await Promise.all(fields.map(validateField));
+    const firstInvalid = fields.find((_, index) => !results[index]) || null;
+
+    return { valid: !firstInvalid, firstInvalid };
+  };
+
+  const handleBlur = (e) => {
+    if (e.target.matches(FIELD_SELECTOR)) {
+      validateField(e.target);
+    }
+  };
+
+  const handleInput = (e) => {
+    const field = e.target;
+    if (field.getAttribute('aria-invalid') === 'true' && checkSyncRules(field, form) === null) {
+      clearFieldError(field);
+    }
+  };
+
+  form.addEventListener('focusout', handleBlur);
+  form.addEventListener('input', handleInput);
+
+  return {
+    validateField,
+    validateForm,
+    destroy: () => {
+      form.removeEventListener('focusout', handleBlur);
+      form.removeEventListener('input', handleInput);
+    },
+  };
+};
+
+// Built-in async rule: ask the API whether an email address is already registered
+registerAsyncRule('email-available', async (value, _field, signal) => {
+  const endpoint = import.meta.env.VITE_EMAIL_CHECK_ENDPOINT || '/api/email-available';
+  const response = await fetch(`${endpoint}?email=${encodeURIComponent(value)}`, { signal });
+
+  if (!response.ok) {
+    return null;
+  }
+
+  const { available } = await response.json();
+  return available === false ? t('validation.emailTaken') : null;
+});
@@ -0,0 +1,163 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import { createFormValidator, registerAsyncRule } from './validation.js';
+
+let form;
+let validator;
+
+const setup = (html) => {
+  document.body.innerHTML = `<form>${html}</form>`;
+  form = document.querySelector('form');
+  validator = createFormValidator(form);
+};
+
+const field = (name) => form.elements.namedItem(name);
+
+const errorText = (name) => document.getElementById(`${name}-error`)?.textContent ?? null;
+
+// Check whether `value` passes the rules on the `name` field
+const accepts = (name, value) => {
+  field(name).value = value;
+  return validator.validateField(field(name));
+};
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('sync rules', () => {
+  it('requires a value', async () => {
+    setup('<input name="name" required>');
+
+    expect(await accepts('name', '   ')).toBe(false);
+    expect(errorText('name')).toBe('This field is required.');
+    expect(field('name').getAttribute('aria-invalid')).toBe('true');
+
+    expect(await accepts('name', 'Ada')).toBe(true);
+    expect(errorText('name')).toBeNull();
+  });
+
+  it('skips the other rules on an empty optional field', async () => {
+    setup('<input name="code" data-minlength="4">');
+
+    expect(await accepts('code', '')).toBe(true);
+  });
+
+  it('checks email addresses', async () => {
+    setup('<input name="email" type="email">');
+
+    expect(await accepts('email', 'ada@')).toBe(false);
+    expect(errorText('email')).toBe('Please enter a valid email address.');
+    expect(await accepts('email', 'ada@example.com')).toBe(true);
+  });
+
+  it('checks the length', async () => {
+    setup('<input name="code" data-minlength="4" data-maxlength="6">');
+
+    expect(await accepts('code', 'abc')).toBe(false);
+    expect(errorText('code')).toBe('Please use at least 4 characters.');
+    expect(await accepts('code', 'abcdefg')).toBe(false);
+    expect(errorText('code')).toBe('Please use no more than 6 characters.');
+    expect(await accepts('code', 'abcde')).toBe(true);
+  });
+
+  it('matches the pattern against the whole value', async () => {
+    setup('<input name="zip" data-pattern="\\d{5}">');
+
+    expect(await accepts('zip', '123456')).toBe(false);
+    expect(errorText('zip')).toBe('Please match the requested format.');
+    expect(await accepts('zip', '12345')).toBe(true);
+  });
+
+  it('ignores an invalid pattern', async () => {
+    setup('<input name="zip" data-pattern="[0-9"><input name="name" required>');
+
+    expect(await accepts('zip', 'anything')).toBe(true);
+    expect((await validator.validateForm()).firstInvalid).toBe(field('name'));
+  });
+
+  it('compares against another field', async () => {
+    setup('<input name="password"><input name="confirm" data-match="password">');
+    field('password').value = 'secret';
+
+    expect(await accepts('confirm', 'secrets')).toBe(false);
+    expect(errorText('confirm')).toBe('The values do not match.');
+    expect(await accepts('confirm', 'secret')).toBe(true);
+  });
+
+  it('uses a per-field message override', async () => {
+    setup('<input name="code" data-minlength="8" data-error-minlength="Use 8 characters or more">');
+
+    await accepts('code', 'short');
+    expect(errorText('code')).toBe('Use 8 characters or more');
+  });
+});
+
+describe('async rules', () => {
+  it('shows the message the check resolves to', async () => {
+    registerAsyncRule('not-taken', (value) => Promise.resolve(value === 'ada' ? 'Taken' : null));
+    setup('<input name="user" data-async="not-taken">');
+
+    expect(await accepts('user', 'ada')).toBe(false);
+    expect(errorText('user')).toBe('Taken');
+    expect(await accepts('user', 'grace')).toBe(true);
+  });
+
+  it('passes when the check itself fails', async () => {
+    registerAsyncRule('offline', () => Promise.reject(new Error('offline')));
+    setup('<input name="user" data-async="offline">');
+
+    expect(await accepts('user', 'ada')).toBe(true);
+  });
+
+  it('resolves a superseded check to the result of the newer one', async () => {
+    registerAsyncRule(
+      'slow-taken',
+      (value, _field, signal) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+          setTimeout(() => resolve(value === 'ada' ? 'Taken' : null));
+        })
+    );
+    setup('<input name="user" data-async="slow-taken">');
+
+    // A submit while the previous submit's check is still in flight
+    field('user').value = 'grace';
+    const first = validator.validateForm();
+    expect(await validator.validateForm()).toEqual({ valid: true, firstInvalid: null });
+    expect(await first).toEqual({ valid: true, firstInvalid: null });
+
+    // A blur check superseded by a submit
+    field('user').value = 'ada';
+    const blur = validator.validateField(field('user'));
+    expect((await validator.validateForm()).firstInvalid).toBe(field('user'));
+    expect(await blur).toBe(false);
+    expect(errorText('user')).toBe('Taken');
+    expect(field('user').hasAttribute('aria-busy')).toBe(false);
+  });
+});
+
+describe('validateForm', () => {
+  it('reports the first invalid field and skips disabled ones', async () => {
+    setup(`
+      <input name="off" required disabled>
+      <input name="name" required>
+      <input name="email" type="email" required>
+    `);
+    field('name').value = 'Ada';
+
+    const { valid, firstInvalid } = await validator.validateForm();
+
+    expect(valid).toBe(false);
+    expect(firstInvalid).toBe(field('email'));
+    expect(errorText('off')).toBeNull();
+  });
+
+  it('passes a valid form', async () => {
+    setup('<input name="name" required>');
+    field('name').value = 'Ada';
+
+    expect(await validator.validateForm()).toEqual({ valid: true, firstInvalid: null });
+  });
+});
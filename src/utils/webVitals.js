@@ -0,0 +1,296 @@
+/**
+ * Real-User Monitoring
+ *
+ * Collects Core Web Vitals from visitors' browsers with PerformanceObserver:
+ * - `LCP` largest contentful paint, attributed to the element and its URL
+ * - `CLS` cumulative layout shift (largest session window), attributed to
+ *   the element that shifted most
+ * - `INP` interaction to next paint, attributed to the event type, target
+ *   and the delay / processing / presentation split
+ * - `FCP` first contentful paint
+ * - `TTFB` time to first byte, split into DNS, connection and request time
+ *
+ * Long tasks are counted too, and every report carries context: connection,
+ * viewport, navigation type and the lazy-image hit/miss counts.
+ *
+ * Each time the page is hidden the latest report is beaconed to
+ * `VITE_RUM_ENDPOINT` (when set, and with `analytics` consent). Reports share
+ * a page view ID, so the backend keeps the last one per page view.
+ */
+
+import { beaconSink } from './analytics.js';
+import { hasConsent } from './consent.js';
+import { getLazyImageStats } from './lazyImages.js';
+
+// [good, poor] boundaries from web.dev
+const THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+};
+
+const INP_DURATION_THRESHOLD = 40;
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_MAX = 5000;
+
+const metrics = {};
+const longTasks = { count: 0, totalDuration: 0, longest: null };
+const listeners = new Set();
+const observers = [];
+const pageViewId = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`;
+
+let started = false;
+
+/**
+ * Rate a metric value as `good`, `needs-improvement` or `poor`.
+ * @param {string} name
+ * @param {number} value
+ * @returns {string}
+ */
+export const rateMetric = (name, value) => {
+  const [good, poor] = THRESHOLDS[name];
+  if (value <= good) {
+    return 'good';
+  }
+  return value <= poor ? 'needs-improvement' : 'poor';
+};
+
+// A short, readable selector such as `img#hero.hero-background`
+const describeElement = (el) => {
+  if (!el?.tagName) {
+    return null;
+  }
+  const id = el.id ? `#${el.id}` : '';
+  const classes = [...el.classList].map((name) => `.${name}`).join('');
+  return `${el.tagName.toLowerCase()}${id}${classes}`;
+};
+
+const navigationEntry = () => performance.getEntriesByType?.('navigation')[0];
+
+// Prerendered pages count from activation, not from the navigation start
+const sinceActivation = (time) => Math.max(time - (navigationEntry()?.activationStart || 0), 0);
+
+const round = (value, name) => (name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value));
+
+/**
+ * The latest values, long tasks and context.
+ * @returns {{ pageViewId: string, metrics: object, longTasks: object, context: object }}
+ */
+export const getReport = () => ({
+  pageViewId,
+  metrics: { ...metrics },
+  longTasks: { ...longTasks },
+  context: {
+    page: window.location.pathname,
+    navigationType: navigationEntry()?.type || null,
+    connection: navigator.connection?.effectiveType || null,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    lazyImages: getLazyImageStats(),
+  },
+});
+
+const notify = () => {
+  const report = getReport();
+  listeners.forEach((callback) => callback(report));
+};
+
+const record = (name, value, attribution = {}) => {
+  metrics[name] = {
+    value: round(value, name),
+    rating: rateMetric(name, value),
+    attribution,
+  };
+  notify();
+};
+
+/**
+ * Listen for new values. The callback gets the whole report, immediately and
+ * on every change.
+ * @param {(report: ReturnType<typeof getReport>) => void} callback
+ * @returns {() => void} Unsubscribe
+ */
+export const onReport = (callback) => {
+  listeners.add(callback);
+  callback(getReport());
+  return () => listeners.delete(callback);
+};
+
+const observe = (type, callback, options = {}) => {
+  if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) {
+    return false;
+  }
+  const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+  observer.observe({ type, buffered: true, ...options });
+  observers.push(observer);
+  return true;
+};
+
+// Buffered entries are delivered again on a restart, so start from scratch
+const reset = () => {
+  Object.keys(metrics).forEach((name) => delete metrics[name]);
+  Object.assign(longTasks, { count: 0, totalDuration: 0, longest: null });
+};
+
+const stop = () => {
+  observers.splice(0).forEach((observer) => observer.disconnect());
+  started = false;
+};
+
+const observeLcp = () =>
+  observe('largest-contentful-paint', (entries) => {
+    const entry = entries[entries.length - 1];
+    record('LCP', sinceActivation(entry.startTime), {
+      element: describeElement(entry.element),
+      url: entry.url || null,
+    });
+  });
+
+const observeCls = () => {
+  let session = { value: 0, entries: [] };
+  let worst = 0;
+
+  const supported = observe('layout-shift', (entries) => {
+    entries
+      .filter((entry) => !entry.hadRecentInput)
+      .forEach((entry) => {
+        const first = session.entries[0];
+        const last = session.entries[session.entries.length - 1];
+        const continues =
+          last &&
+          entry.startTime - last.startTime < CLS_SESSION_GAP &&
+          entry.startTime - first.startTime < CLS_SESSION_MAX;
+
+        session = continues
+          ? { value: session.value + entry.value, entries: [...session.entries, entry] }
+          : { value: entry.value, entries: [entry] };
+
+        if (session.value > worst) {
+          worst = session.value;
+          const largest = session.entries.reduce((a, b) => (b.value > a.value ? b : a));
+          record('CLS', worst, { element: describeElement(largest.sources?.[0]?.node) });
+        }
+      });
+  });
+
+  // Report a stable page as 0 rather than leaving the metric out
+  if (supported && !metrics.CLS) {
+    record('CLS', 0);
+  }
+};
+
+const observeInp = () => {
+  // The longest entry per interaction
+  const interactions = new Map();
+
+  const onEntries = (entries) => {
+    entries
+      .filter((entry) => entry.interactionId)
+      .forEach((entry) => {
+        const known = interactions.get(entry.interactionId);
+        if (!known || entry.duration > known.duration) {
+          interactions.set(entry.interactionId, entry);
+        }
+      });
+
+    if (!interactions.size) {
+      return;
+    }
+
+    // Close to the 98th percentile: skip the worst interaction for every 50
+    const sorted = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+    const entry = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+
+    record('INP', entry.duration, {
+      eventType: entry.name,
+      element: describeElement(entry.target),
+      inputDelay: Math.round(entry.processingStart - entry.startTime),
+      processing: Math.round(entry.processingEnd - entry.processingStart),
+      presentation: Math.round(entry.startTime + entry.duration - entry.processingEnd),
+    });
+  };
+
+  observe('event', onEntries, { durationThreshold: INP_DURATION_THRESHOLD });
+  observe('first-input', onEntries);
+};
+
+const observePaint = () =>
+  observe('paint', (entries) => {
+    const fcp = entries.find((entry) => entry.name === 'first-contentful-paint');
+    if (fcp) {
+      record('FCP', sinceActivation(fcp.startTime));
+    }
+  });
+
+const recordTtfb = () => {
+  const entry = navigationEntry();
+  if (!entry) {
+    return;
+  }
+
+  record('TTFB', sinceActivation(entry.responseStart), {
+    dns: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+    connection: Math.round(entry.connectEnd - entry.connectStart),
+    request: Math.round(entry.responseStart - entry.requestStart),
+  });
+};
+
+const observeLongTasks = () =>
+  observe('longtask', (entries) => {
+    entries.forEach((entry) => {
+      longTasks.count++;
+      longTasks.totalDuration += Math.round(entry.duration);
+
+      if (entry.duration > (longTasks.longest?.duration || 0)) {
+        longTasks.longest = {
+          startTime: Math.round(entry.startTime),
+          duration: Math.round(entry.duration),
+          source: entry.attribution?.[0]?.containerSrc || entry.attribution?.[0]?.name || null,
+        };
+      }
+    });
+    notify();
+  });
+
+const sendReport = (endpoint) => {
+  if (!hasConsent('analytics')) {
+    return;
+  }
+  beaconSink(endpoint).send([{ event: 'web_vitals', ...getReport() }]);
+};
+
+/**
+ * Start collecting, and beacon the report whenever the page is hidden.
+ * Aborting `signal` stops both; collecting can then be started again.
+ * @param {{ endpoint?: string, signal?: AbortSignal }} [options]
+ *   `endpoint` defaults to `VITE_RUM_ENDPOINT`
+ */
+export const initWebVitals = ({ endpoint = import.meta.env.VITE_RUM_ENDPOINT, signal } = {}) => {
+  if (started || signal?.aborted) {
+    return;
+  }
+  started = true;
+  signal?.addEventListener('abort', stop);
+
+  reset();
+
+  recordTtfb();
+  observePaint();
+  observeLcp();
+  observeCls();
+  observeInp();
+  observeLongTasks();
+
+  if (endpoint) {
+    document.addEventListener(
+      'visibilitychange',
+      () => {
+        if (document.visibilityState === 'hidden') {
+          sendReport(endpoint);
+        }
+      },
+      { signal }
+    );
+  }
+};
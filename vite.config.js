@@ -1,5 +1,387 @@
-import { defineConfig } from 'vite';
-import { resolve } from 'path';
+import { mkdirSync, readFileSync, renameSync, rmSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+import { defineConfig, transformWithEsbuild } from 'vite';
+import { VitePWA } from 'vite-plugin-pwa';
+
+import {
+  applyContent,
+  applyContentMessages,
+  CONTENT_DIR,
+  renderContent,
+} from './src/content/render.js';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
+
+/**
+ * Progressive Web App / Service Worker
+ *
+ * Generates `sw.js` with Workbox at build time:
+ * - Precaches the hashed JS, CSS and image assets plus index.html
+ * - Serves index.html for navigations while offline
+ * - Runtime-caches fonts, icon CSS and remote images
+ *
+ * Cache names carry the package version, so bumping the version retires
+ * every runtime cache. The app registers the worker itself (see
+ * src/features/serviceWorker.js) and
+ * prompts the user to reload when an update is waiting.
+ */
+const pwaPlugin = () => {
+  const cacheVersion = `v${pkg.version}`;
+  const expiration = (maxEntries, days) => ({ maxEntries, maxAgeSeconds: days * 24 * 60 * 60 });
+
+  return VitePWA({
+    registerType: 'prompt',
+    injectRegister: null,
+    filename: 'sw.js',
+    manifest: {
+      name: 'Football Predictor',
+      short_name: 'Predictor',
+      description: pkg.description,
+      start_url: '.',
+      scope: '.',
+      display: 'standalone',
+      background_color: '#ffffff',
+      theme_color: '#2563eb',
+      icons: [
+        { src: 'icons/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+        { src: 'icons/icon-maskable.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+      ],
+    },
+    workbox: {
+      cacheId: 'football-predictor',
+      globPatterns: [
+        'index.html',
+        'assets/{js,css,images}/*.{js,css,png,jpg,jpeg,svg,gif,webp,avif,ico}',
+      ],
+      navigateFallback: 'index.html',
+      cleanupOutdatedCaches: true,
+      // No sw.js.map: dist/ is deployed as-is (app maps go to sourcemaps/)
+      sourcemap: false,
+      runtimeCaching: [
+        {
+          urlPattern: ({ url }) => url.origin === 'https://fonts.googleapis.com',
+          handler: 'StaleWhileRevalidate',
+          options: { cacheName: `google-fonts-stylesheets-${cacheVersion}` },
+        },
+        {
+          urlPattern: ({ url }) => url.origin === 'https://fonts.gstatic.com',
+          handler: 'CacheFirst',
+          options: {
+            cacheName: `google-fonts-webfonts-${cacheVersion}`,
+            cacheableResponse: { statuses: [0, 200] },
+            expiration: expiration(30, 365),
+          },
+        },
+        {
+          urlPattern: ({ url }) =>
+            url.origin === 'https://cdnjs.cloudflare.com' || url.origin === 'https://ka-f.fontawesome.com',
+          handler: 'CacheFirst',
+          options: {
+            cacheName: `icon-fonts-${cacheVersion}`,
+            cacheableResponse: { statuses: [0, 200] },
+            expiration: expiration(30, 365),
+          },
+        },
+        {
+          urlPattern: ({ url, request }) =>
+            request.destination === 'image' && url.origin === 'https://images.unsplash.com',
+          handler: 'CacheFirst',
+          options: {
+            cacheName: `remote-images-${cacheVersion}`,
+            cacheableResponse: { statuses: [0, 200] },
+            expiration: expiration(60, 30),
+          },
+        },
+      ],
+    },
+  });
+};
+
+/**
+ * Content Pipeline
+ *
+ * Fills the `<!-- content:name -->` markers in index.html with sections
+ * rendered from src/content (feature cards, footer), at build time and on
+ * every dev page load; see src/content/render.js for the formats. The same
+ * copy replaces the English catalog's messages for those keys, so i18n
+ * doesn't put the old wording back. Invalid content or a broken `#anchor`
+ * fails the build; in dev the error shows in the overlay instead, and
+ * editing a content file reloads the page.
+ */
+const contentPlugin = () => {
+  const englishCatalog = resolve(__dirname, 'src/i18n/locales/en.json');
+
+  return {
+    name: 'content',
+    enforce: 'pre',
+    configureServer(server) {
+      const onContentChange = (file) => {
+        if (!file.startsWith(CONTENT_DIR)) {
+          return;
+        }
+        try {
+          renderContent();
+          server.moduleGraph
+            .getModulesByFile(englishCatalog)
+            ?.forEach((module) => server.moduleGraph.invalidateModule(module));
+          server.ws.send({ type: 'full-reload' });
+        } catch (error) {
+          server.ws.send({ type: 'error', err: { message: error.message, stack: '' } });
+        }
+      };
+
+      server.watcher.add(CONTENT_DIR);
+      ['add', 'change', 'unlink'].forEach((event) => server.watcher.on(event, onContentChange));
+    },
+    transform(code, id) {
+      if (id !== englishCatalog) {
+        return null;
+      }
+      return { code: JSON.stringify(applyContentMessages(JSON.parse(code))), map: null };
+    },
+    transformIndexHtml: {
+      order: 'pre',
+      handler: (html) => applyContent(html),
+    },
+  };
+};
+
+/**
+ * Critical CSS
+ *
+ * Inlines src/styles/critical.css (header and hero) into index.html so the
+ * first screen renders without waiting for a stylesheet. The rest of the CSS
+ * is imported by src/main.js; in the build its `<link rel="stylesheet">` is
+ * turned into a preload that applies itself once loaded, with a `<noscript>`
+ * fallback, so it no longer blocks rendering.
+ */
+const criticalCssPlugin = () => {
+  const criticalFile = resolve(__dirname, 'src/styles/critical.css');
+  let isBuild = false;
+
+  const deferStylesheets = (html) =>
+    html.replace(
+      /<link rel="stylesheet"( crossorigin)? href="([^"]+\.css)">/g,
+      (tag, crossorigin = '', href) =>
+        `<link rel="preload" as="style"${crossorigin} href="${href}" ` +
+        `onload="this.onload=null;this.rel='stylesheet'"><noscript>${tag}</noscript>`
+    );
+
+  return {
+    name: 'critical-css',
+    configResolved(config) {
+      isBuild = config.command === 'build';
+    },
+    configureServer(server) {
+      // The file isn't part of the module graph, so reload the page when it changes
+      server.watcher.add(criticalFile);
+      server.watcher.on('change', (file) => {
+        if (file === criticalFile) {
+          server.ws.send({ type: 'full-reload' });
+        }
+      });
+    },
+    transformIndexHtml: {
+      order: 'post',
+      async handler(html) {
+        let css = readFileSync(criticalFile, 'utf-8');
+        if (isBuild) {
+          ({ code: css } = await transformWithEsbuild(css, criticalFile, {
+            loader: 'css',
+            minify: true,
+          }));
+        }
+
+        return {
+          html: isBuild ? deferStylesheets(html) : html,
+          tags: [{ tag: 'style', attrs: { 'data-critical': true }, children: css, injectTo: 'head' }],
+        };
+      },
+    },
+  };
+};
+
+/**
+ * Private Source Maps
+ *
+ * Moves the `.map` files of a build out of dist/ into sourcemaps/, keeping
+ * their paths (`sourcemaps/assets/js/main-[hash].js.map`), so deploying dist/
+ * can't publish them. Only used with hidden source maps, which the bundles
+ * don't reference.
+ */
+const sourceMapsPlugin = () => {
+  const mapsDir = resolve(__dirname, 'sourcemaps');
+
+  return {
+    name: 'private-source-maps',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      rmSync(mapsDir, { recursive: true, force: true });
+      Object.keys(bundle)
+        .filter((fileName) => fileName.endsWith('.map'))
+        .forEach((fileName) => {
+          const target = resolve(mapsDir, fileName);
+          mkdirSync(dirname(target), { recursive: true });
+          renameSync(resolve(options.dir, fileName), target);
+        });
+    },
+  };
+};
+
+/**
+ * Mock API for local development
+ *
+ * Stands in for the backend so form success and error paths can be exercised
+ * without a live service. The email address picks the scenario:
+ * - `taken@…`       422 with a field error on `email`
+ * - `…+500@…`       500 on every attempt (client retries, then gives up)
+ * - `…+flaky@…`     503 on the first attempt, 201 on the retry
+ * - `…+slow@…`      first attempt outlasts the client timeout, the retry gets 201
+ * - anything else   201 Created
+ *
+ * Like the real endpoint, signups without an `ageConfirmation` (see
+ * src/utils/ageGate.js) are rejected with 422.
+ *
+ * `GET /api/email-available?email=` reports `taken@…` addresses as registered.
+ *
+ * `POST /api/rum` logs Web Vitals reports (see src/utils/webVitals.js) and
+ * `POST /api/errors` logs error reports (see src/utils/errorReporter.js).
+ */
+// DEFAULT_TIMEOUT in src/utils/formSubmit.js, plus enough for the client to have given up
+const SLOW_RESPONSE_DELAY = 10000 + 1000;
+
+const mockApiPlugin = () => {
+  const attempts = new Map();
+
+  const countAttempt = (email) => {
+    const count = (attempts.get(email) || 0) + 1;
+    attempts.set(email, count);
+    return count;
+  };
+
+  const sendJson = (res, status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) =>
+    new Promise((resolveBody, rejectBody) => {
+      let raw = '';
+      req.on('data', (chunk) => {
+        raw += chunk;
+      });
+      req.on('end', () => {
+        try {
+          resolveBody(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          rejectBody(error);
+        }
+      });
+      req.on('error', rejectBody);
+    });
+
+  const handleSignup = async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { message: 'Method not allowed' });
+      return;
+    }
+
+    let data;
+    try {
+      data = await readBody(req);
+    } catch {
+      sendJson(res, 400, { message: 'Malformed JSON body' });
+      return;
+    }
+
+    const email = String(data.email || '').trim().toLowerCase();
+    const errors = {};
+
+    if (!String(data.name || '').trim()) {
+      errors.name = 'Please tell us your name.';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.email = 'Please enter a valid email address.';
+    } else if (email.startsWith('taken@')) {
+      errors.email = 'This email is already registered.';
+    }
+    if (Object.keys(errors).length) {
+      sendJson(res, 422, { message: 'Validation failed', errors });
+      return;
+    }
+    if (!data.ageConfirmation?.confirmedAt) {
+      sendJson(res, 422, { message: 'Age confirmation required' });
+      return;
+    }
+
+    if (email.includes('+500@')) {
+      sendJson(res, 500, { message: 'Internal server error' });
+      return;
+    }
+    if (email.includes('+flaky@') && countAttempt(email) % 2 === 1) {
+      sendJson(res, 503, { message: 'Service unavailable' });
+      return;
+    }
+    if (email.includes('+slow@') && countAttempt(email) % 2 === 1) {
+      const timer = setTimeout(() => sendJson(res, 201, { ok: true }), SLOW_RESPONSE_DELAY);
+      res.on('close', () => clearTimeout(timer));
+      return;
+    }
+
+    sendJson(res, 201, { ok: true, id: Date.now().toString(36) });
+  };
+
+  const handleEmailAvailable = (req, res) => {
+    const email = new URL(req.url, 'http://localhost').searchParams.get('email') || '';
+    sendJson(res, 200, { available: !email.trim().toLowerCase().startsWith('taken@') });
+  };
+
+  const handleRum = async (req, res) => {
+    try {
+      const { events = [] } = await readBody(req);
+      events.forEach(({ metrics = {}, context = {} }) => {
+        const values = Object.entries(metrics).map(
+          ([name, { value, rating }]) => `${name}=${value} (${rating})`
+        );
+        // eslint-disable-next-line no-console
+        console.log(`[rum] ${context.page} ${values.join(' ')}`);
+      });
+    } catch {
+      // Beacons are fire-and-forget; a malformed one is simply dropped
+    }
+    res.statusCode = 204;
+    res.end();
+  };
+
+  const handleErrors = async (req, res) => {
+    try {
+      const { events = [] } = await readBody(req);
+      events.forEach(({ type, message, count, frames = [] }) => {
+        const [top] = frames;
+        const location = top ? ` at ${top.file}:${top.line}:${top.column}` : '';
+        // eslint-disable-next-line no-console
+        console.log(`[errors] ${type} ×${count}: ${message}${location}`);
+      });
+    } catch {
+      // Beacons are fire-and-forget; a malformed one is simply dropped
+    }
+    res.statusCode = 204;
+    res.end();
+  };
+
+  return {
+    name: 'mock-api',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/api/signup', handleSignup);
+      server.middlewares.use('/api/email-available', handleEmailAvailable);
+      server.middlewares.use('/api/rum', handleRum);
+      server.middlewares.use('/api/errors', handleErrors);
+    },
+  };
+};
 
 /**
  * Vite Configuration for Football Prediction Landing Page
@@ -13,7 +395,7 @@ import { resolve } from 'path';
  * 
  * @see https://vitejs.dev/config/
  */
-export default defineConfig(({ command, mode }) => {
+export default defineConfig(({ mode }) => {
   const isProduction = mode === 'production';
   const isDevelopment = mode === 'development';
 
@@ -65,8 +447,12 @@ export default defineConfig(({ command, mode }) => {
       // CSS code splitting
       cssCodeSplit: true,
       
-      // Generate source maps for production
-      sourcemap: isProduction ? false : true,
+      /*
+       * Production source maps are 'hidden': not referenced from the bundles, and moved
+       * out of dist/ to sourcemaps/ (see sourceMapsPlugin) so they are never deployed.
+       * Use them to symbolicate error reports (see src/utils/errorReporter.js).
+       */
+      sourcemap: isProduction ? 'hidden' : true,
       
       // Minification options
       minify: isProduction ? 'terser' : false,
@@ -172,7 +558,17 @@ export default defineConfig(({ command, mode }) => {
     },
 
     // Plugin configuration
-    plugins: [],
+    plugins: [
+      // Sections rendered from src/content into index.html
+      contentPlugin(),
+      // Above-the-fold CSS inlined into index.html, the rest loaded without blocking
+      criticalCssPlugin(),
+      // Hidden production source maps kept out of dist/
+      isProduction && sourceMapsPlugin(),
+      // Local stand-in for the backend (dev server only)
+      mockApiPlugin(),
+      pwaPlugin(),
+    ],
 
     // Path resolution
     resolve: {